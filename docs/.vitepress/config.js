@@ -1,6 +1,7 @@
-import { readdirSync, existsSync } from 'node:fs';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { defineConfig } from 'vitepress';
+import { CHANNELS } from '../../scripts/lib/channels.mjs';
 
 function formatUtcTimeForUi(timePart) {
   const m = /^([0-9]{2})-([0-9]{2})Z$/.exec(String(timePart || ''));
@@ -17,13 +18,15 @@ function buildLabelFromSlug(slug) {
   return String(slug || '');
 }
 
-function groupBuildPages() {
-  const buildsDir = join(process.cwd(), 'docs', 'builds');
+// Build page filenames: YYYY-MM-DD_HH-mmZ_<version>_<sha7>.md (same shape on every channel).
+const BUILD_SLUG_RE = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}Z_/;
+
+function groupBuildPages(channel) {
+  const buildsDir = join(process.cwd(), 'docs', channel.pagesDir);
   if (!existsSync(buildsDir)) return [];
 
   const files = readdirSync(buildsDir)
-    .filter((f) => f.endsWith('.md') && f !== 'index.md')
-    .filter((f) => f.includes('-insider'))
+    .filter((f) => f.endsWith('.md') && BUILD_SLUG_RE.test(f))
     // newest-first if filenames start with YYYY-MM-DD
     .sort((a, b) => b.localeCompare(a));
 
@@ -31,27 +34,80 @@ function groupBuildPages() {
   for (const f of files) {
     const slug = f.replace(/\.md$/, '');
     const parts = slug.split('_');
-    const versionPart = parts.find((p) => /\d+\.\d+\.\d+-insider/.test(p)) || 'Other';
+    const versionPart = parts.find((p) => /^\d+\.\d+\.\d+/.test(p)) || 'Other';
     const minor = versionPart === 'Other' ? 'Other' : versionPart.split('.').slice(0, 2).join('.');
 
     if (!groups.has(minor)) groups.set(minor, []);
     groups.get(minor).push({
       text: buildLabelFromSlug(slug),
-      link: `/builds/${slug}`,
+      link: `/${channel.pagesDir}/${slug}`,
     });
   }
 
   const order = Array.from(groups.keys()).sort((a, b) => (a === 'Other' ? 1 : b === 'Other' ? -1 : b.localeCompare(a)));
+  const versionsDir = join(process.cwd(), 'docs', 'versions');
   return order.map((minor) => ({
     text: minor,
+    // Group headings open the version roll-up page (docs/versions/<minor>.md) when there is one.
+    ...(channel.rollUps && existsSync(join(versionsDir, `${minor}.md`)) ? { link: `/versions/${minor}` } : {}),
     collapsed: minor !== order[0],
     items: groups.get(minor),
   }));
 }
 
+const BASE = '/vscode-insiders-release-notes/';
+
+function areaPages() {
+  const areasDir = join(process.cwd(), 'docs', 'areas');
+  if (!existsSync(areasDir)) return [];
+
+  return readdirSync(areasDir)
+    .filter((f) => f.endsWith('.md') && f !== 'index.md')
+    .sort((a, b) => a.localeCompare(b))
+    .map((f) => {
+      const slug = f.replace(/\.md$/, '');
+      // The page title lives in frontmatter; the sidebar only needs a readable fallback.
+      const title = /^title:\s*"(.*)"\s*$/m.exec(readFileSync(join(areasDir, f), 'utf8'))?.[1] || slug;
+      return { text: title, link: `/areas/${slug}` };
+    });
+}
+
+// Channel sections with generated pages (Insiders is always listed).
+const channels = CHANNELS.filter((c) => c.rollUps || existsSync(join(process.cwd(), 'docs', c.pagesDir, 'index.md')));
+const otherChannels = (channel) => channels
+  .filter((c) => c !== channel)
+  .map((c) => ({ text: c.indexTitle, link: `/${c.pagesDir}/` }));
+
+function channelSidebar(channel) {
+  return [
+    {
+      text: channel.indexTitle,
+      items: [
+        { text: 'Index', link: `/${channel.pagesDir}/` },
+        { text: 'Since my build', link: '/since' },
+        ...(channel.rollUps ? [{ text: 'Versions', link: '/versions/' }, { text: 'Areas', link: '/areas/' }] : []),
+        ...otherChannels(channel),
+      ],
+    },
+    ...groupBuildPages(channel),
+  ];
+}
+
+const buildsSidebar = channelSidebar(channels[0]);
+
+function feedLinks(channel) {
+  const dir = channel.publicDir ? `${channel.publicDir}/` : '';
+  const title = channel.feedTitle;
+  return [
+    ['link', { rel: 'alternate', type: 'application/rss+xml', title: `${title} (RSS)`, href: `${BASE}${dir}feed.xml` }],
+    ['link', { rel: 'alternate', type: 'application/atom+xml', title: `${title} (Atom)`, href: `${BASE}${dir}atom.xml` }],
+    ['link', { rel: 'alternate', type: 'application/feed+json', title: `${title} (JSON Feed)`, href: `${BASE}${dir}feed.json` }],
+  ];
+}
+
 export default defineConfig({
   // Repo Pages: https://username.github.io/repo/
-  base: '/vscode-insiders-release-notes/',
+  base: BASE,
   // Keep legacy one-off pages from being built/deployed.
   srcExclude: [
     'builds/2026-01-09_f8edfb1-1c97a46.md',
@@ -60,14 +116,31 @@ export default defineConfig({
   title: 'Insiders Changelog',
   description: 'Per-build changelog pages for VS Code Insiders',
 
+  // Feed autodiscovery. Files are generated into docs/public/ (docs/public/<channel>/ for channels
+  // other than Insiders) by scripts/update-data.mjs.
+  head: channels.flatMap(feedLinks),
+
   themeConfig: {
     siteTitle: 'Insiders Changelog',
-    nav: [],
+    // One entry per channel section, once there is more than one.
+    nav: channels.length > 1 ? channels.map((c) => ({ text: c.name, link: `/${c.pagesDir}/` })) : [],
 
     sidebar: {
-      '/builds/': [
-        { text: 'Builds', items: [{ text: 'Index', link: '/builds/' }] },
-        ...groupBuildPages(),
+      ...Object.fromEntries(channels.slice(1).map((c) => [`/${c.pagesDir}/`, channelSidebar(c)])),
+      '/builds/': buildsSidebar,
+      '/versions/': buildsSidebar,
+      '/since': buildsSidebar,
+      '/areas/': [
+        { text: 'Areas', items: [{ text: 'Index', link: '/areas/' }, ...areaPages()] },
+        {
+          text: 'Builds',
+          items: [
+            { text: 'All builds', link: '/builds/' },
+            { text: 'Since my build', link: '/since' },
+            { text: 'Versions', link: '/versions/' },
+            ...otherChannels(channels[0]),
+          ],
+        },
       ],
     },
 
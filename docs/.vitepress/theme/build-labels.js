@@ -0,0 +1,72 @@
+// Build slug/time helpers shared by the theme's link rewriting and its components.
+
+import { CHANNELS } from '../../../scripts/lib/channels.mjs';
+
+// One site section per release channel. `index` is the section's search index, generated next to
+// its feeds (docs/public/<publicDir>/).
+export const BUILD_SECTIONS = CHANNELS.map((c) => ({
+  dir: c.pagesDir,
+  name: c.name,
+  index: `${c.publicDir ? `/${c.publicDir}` : ''}/search-index.json`,
+  versionSuffix: c.versionSuffix,
+}));
+
+export function parseBuildFromPath(pathname) {
+  const raw = String(pathname || '');
+
+  // Routes look like /builds/<slug> (or /stable/<slug>, ...), but markdown links can be relative
+  // on an index page, e.g. ./<slug> or ../builds/<slug>. The slug is always the last segment.
+  let rest = raw.split('#')[0].split('?')[0].replace(/\/$/, '');
+  rest = rest.slice(rest.lastIndexOf('/') + 1);
+
+  // VitePress routes don't include file extensions.
+  if (!rest || rest === 'index') return null;
+
+  try {
+    rest = decodeURIComponent(rest);
+  } catch {
+    // ignore
+  }
+
+  // YYYY-MM-DD_HH-mmZ_...
+  const m = /^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})Z_/.exec(rest);
+  if (!m) return null;
+
+  const date = m[1];
+  const hh = m[2];
+  const mm = m[3];
+  const utcIso = `${date}T${hh}:${mm}:00Z`;
+
+  return { utcIso };
+}
+
+function formatLocalTimeAmPm(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return '';
+
+  // Force am/pm to exist (and then lower-case it), while still converting to *user local time*.
+  // Example: "4:50 PM" -> "4:50 pm"
+  const s = d.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  return s.replace(/\bAM\b/g, 'am').replace(/\bPM\b/g, 'pm');
+}
+
+function formatLocalDateYmd(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return '';
+  const y = String(d.getFullYear());
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+export function buildLocalLabel({ utcIso }) {
+  const localDate = formatLocalDateYmd(utcIso);
+  const localTime = formatLocalTimeAmPm(utcIso);
+  if (localDate && localTime) return `${localDate} - ${localTime}`;
+  return localDate || localTime || '';
+}
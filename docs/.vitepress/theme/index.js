@@ -1,50 +1,11 @@
 import DefaultTheme from 'vitepress/theme';
 import { inBrowser } from 'vitepress';
+import { h } from 'vue';
 
 import './custom.css';
-
-function parseBuildFromPath(pathname) {
-  const raw = String(pathname || '');
-
-  // Most routes look like: /builds/<slug>
-  // But markdown links can be relative on the builds index page, e.g. ./<slug>
-  const marker = '/builds/';
-  let rest;
-  const idx = raw.lastIndexOf(marker);
-  if (idx !== -1) {
-    rest = raw.slice(idx + marker.length);
-  } else {
-    // Try to handle relative hrefs like './2026-...' or '../builds/2026-...'
-    const idx2 = raw.lastIndexOf('builds/');
-    rest = idx2 !== -1 ? raw.slice(idx2 + 'builds/'.length) : raw;
-  }
-
-  rest = rest.replace(/^\.\/+/, '');
-  rest = rest.replace(/^\.\.\/+/, '');
-  rest = rest.replace(/^\//, '');
-  rest = rest.split('#')[0].split('?')[0];
-  rest = rest.replace(/\/$/, '');
-
-  // VitePress routes don't include file extensions.
-  if (!rest || rest === 'index') return null;
-
-  try {
-    rest = decodeURIComponent(rest);
-  } catch {
-    // ignore
-  }
-
-  // YYYY-MM-DD_HH-mmZ_...
-  const m = /^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})Z_/.exec(rest);
-  if (!m) return null;
-
-  const date = m[1];
-  const hh = m[2];
-  const mm = m[3];
-  const utcIso = `${date}T${hh}:${mm}:00Z`;
-
-  return { utcIso };
-}
+import BuildFilters from './components/BuildFilters.vue';
+import SinceMyBuild from './components/SinceMyBuild.vue';
+import { buildLocalLabel, parseBuildFromPath } from './build-labels.js';
 
 function parseBuildFromHref(href) {
   if (!href) return null;
@@ -61,37 +22,6 @@ function parseBuildFromHref(href) {
   }
 }
 
-function formatLocalTimeAmPm(utcIso) {
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return '';
-
-  // Force am/pm to exist (and then lower-case it), while still converting to *user local time*.
-  // Example: "4:50 PM" -> "4:50 pm"
-  const s = d.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true,
-  });
-
-  return s.replace(/\bAM\b/g, 'am').replace(/\bPM\b/g, 'pm');
-}
-
-function formatLocalDateYmd(utcIso) {
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return '';
-  const y = String(d.getFullYear());
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-
-function buildLocalLabel({ utcIso }) {
-  const localDate = formatLocalDateYmd(utcIso);
-  const localTime = formatLocalTimeAmPm(utcIso);
-  if (localDate && localTime) return `${localDate} - ${localTime}`;
-  return localDate || localTime || '';
-}
-
 function setSidebarLinkTextPreservingMarkup(a, text) {
   // VitePress sidebar links typically contain spans that are styled for sizing and active states.
   // If we replace `a.textContent`, we remove that markup and can break styling.
@@ -112,6 +42,14 @@ function updateDocLinkLabels() {
   }
 }
 
+function updateTimeElements() {
+  // Generated pages write times as <time datetime="..."> in UTC (e.g. committed/published times).
+  for (const el of document.querySelectorAll('.VPDoc time[datetime]')) {
+    const label = buildLocalLabel({ utcIso: el.getAttribute('datetime') });
+    if (label) el.textContent = label;
+  }
+}
+
 function updateBuildTitles() {
   if (!inBrowser) return;
 
@@ -133,11 +71,20 @@ function updateBuildTitles() {
   }
 
   updateDocLinkLabels();
+  updateTimeElements();
 }
 
 export default {
   extends: DefaultTheme,
-  enhanceApp({ router }) {
+  Layout() {
+    // Filter/search controls above the content of the builds index and build pages.
+    return h(DefaultTheme.Layout, null, {
+      'doc-before': () => h(BuildFilters),
+    });
+  },
+  enhanceApp({ app, router }) {
+    // Used by docs/since.md.
+    app.component('SinceMyBuild', SinceMyBuild);
     if (!inBrowser) return;
 
     const run = () => {
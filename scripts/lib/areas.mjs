@@ -0,0 +1,53 @@
+// Feature areas derived from upstream GitHub labels (e.g. `terminal`, `chat-*`).
+//
+// The mapping table lives in data/areas.json so it can be tuned without code changes. Areas are
+// computed at render time from each PR's stored labels, so `--rerender` applies a new mapping
+// to every historical build.
+
+import { readFile } from "node:fs/promises";
+
+const AREA_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+export async function loadAreaConfig(path) {
+  let raw;
+  try {
+    raw = await readFile(path, "utf8");
+  } catch {
+    // No mapping table: areas are simply not shown.
+    return { areas: [] };
+  }
+
+  const json = JSON.parse(raw);
+  const areas = Array.isArray(json?.areas) ? json.areas : [];
+  for (const a of areas) {
+    if (!AREA_ID_RE.test(String(a?.id || ""))) {
+      throw new Error(`Invalid area id '${a?.id}' in ${path}; use lowercase letters, digits and dashes.`);
+    }
+    if (!Array.isArray(a.labels) || !a.labels.length) {
+      throw new Error(`Area '${a.id}' in ${path} has no label patterns.`);
+    }
+  }
+
+  return {
+    areas: areas.map((a) => ({
+      id: a.id,
+      title: a.title || a.id,
+      patterns: a.labels.map((l) => String(l).toLowerCase()),
+    })),
+  };
+}
+
+function matchesPattern(label, pattern) {
+  if (pattern.endsWith("*")) return label.startsWith(pattern.slice(0, -1));
+  return label === pattern;
+}
+
+// Returns area ids (in table order) for a list of label names.
+export function areasForLabels(labels, config) {
+  const names = (labels || []).map((l) => String(typeof l === "string" ? l : l?.name || "").toLowerCase());
+  const out = [];
+  for (const area of config?.areas || []) {
+    if (names.some((n) => area.patterns.some((p) => matchesPattern(n, p)))) out.push(area.id);
+  }
+  return out;
+}
@@ -0,0 +1,81 @@
+// Release channels (update service "qualities") the generator can follow. Set with CHANNEL
+// (default: insider).
+//
+// Each channel gets its own section of the site and its own data:
+//   pages     docs/<pagesDir>/                      (Insiders keeps the original docs/builds/)
+//   data      data/<dataDir>/builds/, builds.json   (Insiders keeps data/builds/ and data/builds.json)
+//   public    docs/public/<publicDir>/              feeds and the search index
+//   releases  <tagPrefix>/<version>/<time>/<sha7>
+//
+// Slugs keep the same shape on every channel (YYYY-MM-DD_HH-mmZ_<version>_<sha7>); the version
+// carries the channel suffix (`1.110.0-insider`, `1.108.2` for stable).
+
+const UPDATE_BASE = "https://update.code.visualstudio.com";
+
+export const CHANNELS = [
+  {
+    id: "insider",
+    name: "Insiders",
+    indexTitle: "Builds",
+    productName: "VS Code Insiders",
+    feedTitle: "Insiders Changelog",
+    // Atom entry ids (`<idPrefix><build sha>`); never change them, feed readers key entries on them.
+    feedIdPrefix: "urn:vscode-insiders-build:",
+    versionSuffix: "-insider",
+    pagesDir: "builds",
+    dataDir: "",
+    publicDir: "",
+    stateFile: "insiders-state.json",
+    tagPrefix: "insiders",
+    // Area pages and version roll-ups are only generated for this channel.
+    rollUps: true,
+  },
+  {
+    id: "stable",
+    name: "Stable",
+    indexTitle: "Stable builds",
+    productName: "VS Code",
+    feedTitle: "Stable Changelog",
+    feedIdPrefix: "urn:vscode-stable-build:",
+    versionSuffix: "",
+    pagesDir: "stable",
+    dataDir: "stable",
+    publicDir: "stable",
+    stateFile: "state.json",
+    tagPrefix: "stable",
+    rollUps: false,
+  },
+  {
+    id: "exploration",
+    name: "Exploration",
+    indexTitle: "Exploration builds",
+    productName: "VS Code Exploration",
+    feedTitle: "Exploration Changelog",
+    feedIdPrefix: "urn:vscode-exploration-build:",
+    versionSuffix: "-exploration",
+    pagesDir: "exploration",
+    dataDir: "exploration",
+    publicDir: "exploration",
+    stateFile: "state.json",
+    tagPrefix: "exploration",
+    rollUps: false,
+  },
+];
+
+export function getChannel(id) {
+  const channel = CHANNELS.find((c) => c.id === String(id || "").trim().toLowerCase());
+  if (!channel) {
+    throw new Error(`Unknown channel '${id}'. Available: ${CHANNELS.map((c) => c.id).join(", ")}.`);
+  }
+  return channel;
+}
+
+// Build commits published on the channel, newest first.
+export function commitsFeedUrl(channel) {
+  return `${UPDATE_BASE}/api/commits/${channel.id}`;
+}
+
+// The newest build users of `platform` can install (`version` is its commit SHA).
+export function latestUpdateUrl(channel, platform) {
+  return `${UPDATE_BASE}/api/update/${platform}/${channel.id}/latest`;
+}
@@ -0,0 +1,84 @@
+// Content-addressed cache for per-PR explainers.
+//
+// An entry is keyed by PR number + a hash of everything that can change the model's answer:
+// the PR fields we put in the prompt, the provider/model and the prompt version. If none of those
+// changed, re-running a build (--force, --preview) reuses the stored explainer instead of paying for it again.
+//
+// Layout: data/explainer-cache/<pr number>-<hash>.json
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { linkedIssuesForPrompt } from "./linked-issues.mjs";
+
+function labelNames(pr) {
+  const list = Array.isArray(pr?.labels) ? pr.labels : [];
+  return list.map((l) => (typeof l === "string" ? l : l?.name)).filter(Boolean).sort();
+}
+
+export function explainerCacheKey(pr, { model, promptVersion }) {
+  const material = JSON.stringify({
+    number: pr.number,
+    title: pr.title || "",
+    // Same truncation as the prompt: text beyond it never reaches the model.
+    body: pr.body ? String(pr.body).slice(0, 4000) : "",
+    labels: labelNames(pr),
+    copilot_summaries: Array.isArray(pr.copilot_summaries) ? pr.copilot_summaries : [],
+    linked_issues: linkedIssuesForPrompt(pr),
+    model,
+    promptVersion,
+  });
+  const hash = createHash("sha256").update(material).digest("hex").slice(0, 16);
+  return `${pr.number}-${hash}`;
+}
+
+export function createExplainerCache({ dir, model, promptVersion, enabled = true, refreshPrs = [] }) {
+  const refresh = new Set(refreshPrs.map((n) => Number(n)));
+  const stats = { hits: 0, misses: 0, refreshed: 0, written: 0 };
+
+  async function lookup(pullRequests) {
+    const hits = {};
+    const misses = [];
+
+    for (const pr of pullRequests || []) {
+      if (!enabled || refresh.has(Number(pr.number))) {
+        if (refresh.has(Number(pr.number))) stats.refreshed++;
+        stats.misses++;
+        misses.push(pr);
+        continue;
+      }
+
+      const key = explainerCacheKey(pr, { model, promptVersion });
+      try {
+        const entry = JSON.parse(await readFile(join(dir, `${key}.json`), "utf8"));
+        if (entry?.value && typeof entry.value === "object") {
+          hits[String(pr.number)] = entry.value;
+          stats.hits++;
+          continue;
+        }
+      } catch {
+        // Not cached (or unreadable): treat as a miss.
+      }
+      stats.misses++;
+      misses.push(pr);
+    }
+
+    return { hits, misses };
+  }
+
+  async function store(pullRequests, explainersByNumber) {
+    // Even with the cache disabled for reads, fresh answers replace stale entries.
+    await mkdir(dir, { recursive: true });
+    for (const pr of pullRequests || []) {
+      const value = explainersByNumber?.[String(pr.number)];
+      // Only cache what the model actually returned; missing PRs should be retried next time.
+      if (value == null) continue;
+      const key = explainerCacheKey(pr, { model, promptVersion });
+      const entry = { number: pr.number, model, promptVersion, value, cachedAt: new Date().toISOString() };
+      await writeFile(join(dir, `${key}.json`), JSON.stringify(entry, null, 2) + "\n", "utf8");
+      stats.written++;
+    }
+  }
+
+  return { lookup, store, stats };
+}
@@ -0,0 +1,193 @@
+// Explainer providers: turn a build's PR list into `{ "<pr number>": { label, explainer } }`.
+//
+// Every provider exposes the same shape:
+//   { id, model, isAi, generate({ instructions, input, pullRequests }) -> explainers object }
+// AI providers also expose `complete({ instructions, input }) -> text` for other prompts
+// (e.g. the per-version digest in scripts/lib/version-digest.mjs).
+//
+// - openai            OpenAI Responses API (the original behavior)
+// - openai-compatible any chat-completions endpoint (llama.cpp, Ollama, vLLM, ...) via a base URL
+// - heuristic         no model at all: label from PR title prefixes/GitHub labels, PR title as explainer
+
+import OpenAI from "openai";
+import { httpFetch } from "./http.mjs";
+
+export const PROVIDER_IDS = ["openai", "openai-compatible", "heuristic"];
+
+export function extractJsonObjectFromText(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first === -1 || last === -1 || last <= first) return null;
+  const slice = s.slice(first, last + 1);
+  try {
+    return JSON.parse(slice);
+  } catch {
+    return null;
+  }
+}
+
+function parseExplainersJson(raw, providerLabel) {
+  const json = extractJsonObjectFromText(raw);
+  if (!json || typeof json !== "object") throw new Error(`${providerLabel} did not return a valid JSON object for explainers.`);
+
+  // Validate shape (best-effort): values should be objects with {label, explainer}.
+  // We keep backwards compatibility with older string-only values.
+  for (const [k, v] of Object.entries(json)) {
+    if (typeof v === "string") continue;
+    if (!v || typeof v !== "object") throw new Error(`Invalid explainer value for PR ${k}; expected object or string.`);
+    if (typeof v.explainer !== "string") throw new Error(`Invalid explainer for PR ${k}; expected string.`);
+    if (typeof v.label !== "string") throw new Error(`Invalid label for PR ${k}; expected string.`);
+  }
+  return json;
+}
+
+function createOpenAiProvider({ apiKey, model, allowMissingKey }) {
+  if (!apiKey && !allowMissingKey) {
+    throw new Error("OPENAI_API_KEY is required to generate explainers.");
+  }
+
+  const client = new OpenAI({
+    apiKey: apiKey || "replay",
+    // Route SDK traffic through our transport so it can be recorded/replayed like everything else.
+    fetch: httpFetch,
+  });
+
+  async function complete({ instructions, input }) {
+    const response = await client.responses.create({ model, instructions, input });
+    return (response?.output_text || "").trim();
+  }
+
+  return {
+    id: "openai",
+    model,
+    isAi: true,
+    complete,
+    async generate({ instructions, input }) {
+      return parseExplainersJson(await complete({ instructions, input }), "OpenAI");
+    },
+  };
+}
+
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, model }) {
+  if (!baseUrl) throw new Error("EXPLAINER_BASE_URL is required for the openai-compatible provider.");
+  if (!model) throw new Error("EXPLAINER_MODEL is required for the openai-compatible provider.");
+
+  const client = new OpenAI({
+    baseURL: baseUrl,
+    // Local servers usually ignore the key, but the SDK insists on one.
+    apiKey: apiKey || "not-needed",
+    fetch: httpFetch,
+  });
+
+  async function complete({ instructions, input }) {
+    const response = await client.chat.completions.create({
+      model,
+      temperature: 0,
+      messages: [
+        { role: "system", content: instructions },
+        { role: "user", content: input },
+      ],
+    });
+    return String(response?.choices?.[0]?.message?.content || "").trim();
+  }
+
+  return {
+    id: "openai-compatible",
+    model,
+    isAi: true,
+    complete,
+    async generate({ instructions, input }) {
+      return parseExplainersJson(await complete({ instructions, input }), `Chat completions endpoint (${baseUrl})`);
+    },
+  };
+}
+
+// Conventional-commit style prefixes and common PR title phrasings used in microsoft/vscode.
+const TITLE_RULES = [
+  { label: "upgrade", re: /^(build|chore)\(deps(-dev)?\)\s*:/i },
+  { label: "upgrade", re: /^(bump|upgrade|update)\s+\S+.*\b(from|to)\s+v?\d/i },
+  { label: "upgrade", re: /^(bump|upgrade)\b/i },
+  { label: "fix", re: /^(fix|fixes|fixed|hotfix)(\(.+?\))?\s*[:!]/i },
+  { label: "fix", re: /^(fix|fixes|fixed|resolve|resolves|prevent|avoid|handle)\b/i },
+  { label: "add", re: /^(feat|feature)(\(.+?\))?\s*[:!]/i },
+  { label: "add", re: /^(add|adds|added|introduce|implement|support|enable|allow|new)\b/i },
+  { label: "refactor", re: /^(refactor|chore|cleanup|clean up|remove|rename|move|debt|test|tests|ci|build|docs)\b/i },
+];
+
+// GitHub labels that reliably hint at the kind of change.
+const LABEL_RULES = [
+  { label: "upgrade", names: ["dependencies", "dependency", "deps", "engineering-dependencies"] },
+  { label: "fix", names: ["bug", "regression"] },
+  { label: "add", names: ["feature-request", "feature", "enhancement", "plan-item"] },
+  { label: "refactor", names: ["debt", "engineering", "code-health", "tests"] },
+];
+
+function labelNames(pr) {
+  const list = Array.isArray(pr?.labels) ? pr.labels : [];
+  return list.map((l) => String(typeof l === "string" ? l : l?.name || "").toLowerCase()).filter(Boolean);
+}
+
+function stripTitlePrefix(title) {
+  // Only conventional-commit types: "fix(chat): Keep focus" -> "Keep focus", but "Chat: ..." stays.
+  return String(title || "").replace(/^(feat|feature|fix|chore|build|refactor|docs|test|ci|perf|style)(\(.+?\))?!?:\s*/i, "").trim();
+}
+
+export function heuristicExplainerEntry(pr) {
+  const title = String(pr?.title || "").trim();
+  const names = labelNames(pr);
+
+  let label = null;
+  for (const rule of TITLE_RULES) {
+    if (rule.re.test(title)) {
+      label = rule.label;
+      break;
+    }
+  }
+  if (!label) {
+    const hit = LABEL_RULES.find((rule) => rule.names.some((n) => names.includes(n)));
+    label = hit ? hit.label : "refactor";
+  }
+
+  const cleaned = stripTitlePrefix(title) || title;
+  const explainer = cleaned ? cleaned.charAt(0).toUpperCase() + cleaned.slice(1) : "";
+  return { label, explainer };
+}
+
+function createHeuristicProvider() {
+  return {
+    id: "heuristic",
+    model: "heuristic",
+    isAi: false,
+    async generate({ pullRequests }) {
+      const out = {};
+      for (const pr of pullRequests || []) {
+        if (pr?.number == null) continue;
+        out[String(pr.number)] = heuristicExplainerEntry(pr);
+      }
+      return out;
+    },
+  };
+}
+
+export function createExplainerProvider(id, config = {}) {
+  switch (String(id || "openai").toLowerCase()) {
+    case "openai":
+      return createOpenAiProvider({
+        apiKey: config.openaiApiKey,
+        model: config.openaiModel,
+        allowMissingKey: config.allowMissingKey,
+      });
+    case "openai-compatible":
+      return createOpenAiCompatibleProvider({
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey,
+        model: config.model,
+      });
+    case "heuristic":
+      return createHeuristicProvider();
+    default:
+      throw new Error(`Unknown explainer provider '${id}'. Expected one of: ${PROVIDER_IDS.join(", ")}.`);
+  }
+}
@@ -0,0 +1,203 @@
+// RSS 2.0, Atom and JSON Feed output for one channel, built from its stored build records.
+//
+// `buildFeedFiles()` returns { "<relative path>": "<content>" } so the caller decides where the
+// files go (the generator writes them into docs/public/, which VitePress copies to the site root).
+//
+// Files:
+//   feed.xml / atom.xml / feed.json                       every build
+//   feeds/<section>/feed.xml|atom.xml|feed.json            one change label only (e.g. feeds/new/)
+
+const MAX_FEED_ITEMS = 50;
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+// Same escaping rules; named separately so call-sites read as intended.
+const escapeHtml = escapeXml;
+
+function cdata(text) {
+  // A literal "]]>" would end the CDATA block early.
+  return `<![CDATA[${String(text ?? "").replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+}
+
+function buildPageUrl(siteUrl, pagesDir, slug) {
+  return `${siteUrl}/${pagesDir}/${encodeURIComponent(slug)}`;
+}
+
+function entryTitle(record, productName) {
+  const d = new Date(record.committedAt);
+  const display = Number.isNaN(d.getTime())
+    ? String(record.committedAt || "")
+    : `${d.toISOString().slice(0, 10)} ${d.toISOString().slice(11, 16)} UTC`;
+  return `${productName} ${record.version} — ${display}`;
+}
+
+function sectionItems(record, label) {
+  return (record.pullRequests || [])
+    .map((pr) => ({ pr, entry: record.explainers?.[String(pr.number)] || null }))
+    .filter(({ entry }) => (entry?.label || "refactor") === label);
+}
+
+function renderEntryHtml(record, sections) {
+  const repoUrl = `https://github.com/${record.repo}`;
+  const parts = [];
+  parts.push(
+    `<p>Version <code>${escapeHtml(record.version)}</code> · ` +
+    `Commit <a href="${escapeHtml(`${repoUrl}/commit/${record.buildSha}`)}">${escapeHtml(String(record.buildSha).slice(0, 7))}</a> · ` +
+    `<a href="${escapeHtml(record.compare?.url || `${repoUrl}/compare/${record.previousSha}...${record.buildSha}`)}">Compare</a></p>`,
+  );
+
+  for (const section of sections) {
+    const items = sectionItems(record, section.label);
+    if (!items.length) continue;
+    parts.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    parts.push("<ul>");
+    for (const { pr, entry } of items) {
+      const link = pr.html_url ? `<a href="${escapeHtml(pr.html_url)}">#${pr.number}</a> ` : `#${pr.number} `;
+      const explainer = entry?.explainer ? `<blockquote>${escapeHtml(entry.explainer)}</blockquote>` : "";
+      parts.push(`<li>${link}<strong>${escapeHtml(pr.title)}</strong>${explainer}</li>`);
+    }
+    parts.push("</ul>");
+  }
+
+  return parts.join("\n");
+}
+
+function toFeedItems(records, { siteUrl, pagesDir, productName, sections }) {
+  return records.slice(0, MAX_FEED_ITEMS).map((record) => ({
+    id: record.buildSha,
+    url: buildPageUrl(siteUrl, pagesDir, record.slug),
+    title: entryTitle(record, productName),
+    date: new Date(record.committedAt).toISOString(),
+    tags: sections.filter((s) => sectionItems(record, s.label).length).map((s) => s.slug),
+    html: renderEntryHtml(record, sections),
+  }));
+}
+
+function renderRss({ title, description, homeUrl, selfUrl, items }) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">');
+  lines.push("<channel>");
+  lines.push(`<title>${escapeXml(title)}</title>`);
+  lines.push(`<link>${escapeXml(homeUrl)}</link>`);
+  lines.push(`<description>${escapeXml(description)}</description>`);
+  lines.push(`<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />`);
+  if (items[0]) lines.push(`<lastBuildDate>${new Date(items[0].date).toUTCString()}</lastBuildDate>`);
+  for (const item of items) {
+    lines.push("<item>");
+    lines.push(`<title>${escapeXml(item.title)}</title>`);
+    lines.push(`<link>${escapeXml(item.url)}</link>`);
+    lines.push(`<guid isPermaLink="false">${escapeXml(item.id)}</guid>`);
+    lines.push(`<pubDate>${new Date(item.date).toUTCString()}</pubDate>`);
+    for (const tag of item.tags) lines.push(`<category>${escapeXml(tag)}</category>`);
+    lines.push(`<description>${cdata(item.html)}</description>`);
+    lines.push("</item>");
+  }
+  lines.push("</channel>");
+  lines.push("</rss>");
+  return lines.join("\n") + "\n";
+}
+
+function renderAtom({ title, productName, idPrefix, homeUrl, selfUrl, items }) {
+  const updated = items[0]?.date || new Date(0).toISOString();
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<feed xmlns="http://www.w3.org/2005/Atom">');
+  lines.push(`<title>${escapeXml(title)}</title>`);
+  lines.push(`<id>${escapeXml(selfUrl)}</id>`);
+  lines.push(`<link href="${escapeXml(selfUrl)}" rel="self" />`);
+  lines.push(`<link href="${escapeXml(homeUrl)}" />`);
+  lines.push(`<updated>${updated}</updated>`);
+  for (const item of items) {
+    lines.push("<entry>");
+    lines.push(`<title>${escapeXml(item.title)}</title>`);
+    lines.push(`<id>${escapeXml(`${idPrefix}${item.id}`)}</id>`);
+    lines.push(`<link href="${escapeXml(item.url)}" />`);
+    lines.push(`<updated>${item.date}</updated>`);
+    lines.push(`<published>${item.date}</published>`);
+    lines.push(`<author><name>${escapeXml(productName)} changelog</name></author>`);
+    for (const tag of item.tags) lines.push(`<category term="${escapeXml(tag)}" />`);
+    lines.push(`<content type="html">${escapeXml(item.html)}</content>`);
+    lines.push("</entry>");
+  }
+  lines.push("</feed>");
+  return lines.join("\n") + "\n";
+}
+
+function renderJsonFeed({ title, description, homeUrl, selfUrl, items }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    description,
+    home_page_url: homeUrl,
+    feed_url: selfUrl,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.html,
+      date_published: item.date,
+      tags: item.tags,
+    })),
+  };
+  return JSON.stringify(feed, null, 2) + "\n";
+}
+
+// `feedUrl` is the site URL the files are served under (the caller's publicDir included).
+function renderAllFormats({ dir, title, description, productName, idPrefix, feedUrl, homeUrl, items }) {
+  const prefix = dir ? `${dir}/` : "";
+  return {
+    [`${prefix}feed.xml`]: renderRss({ title, description, homeUrl, selfUrl: `${feedUrl}/${prefix}feed.xml`, items }),
+    [`${prefix}atom.xml`]: renderAtom({ title, productName, idPrefix, homeUrl, selfUrl: `${feedUrl}/${prefix}atom.xml`, items }),
+    [`${prefix}feed.json`]: renderJsonFeed({ title, description, homeUrl, selfUrl: `${feedUrl}/${prefix}feed.json`, items }),
+  };
+}
+
+// `records` newest-first. `sections` is [{ label: "add", slug: "new", title: "✨ NEW" }, ...] in page order.
+// `pagesDir` is the channel's build page section (e.g. "builds") and `publicDir` where the caller
+// serves these files from ("" for the site root). `idPrefix` starts each Atom entry id.
+export function buildFeedFiles({
+  records,
+  siteUrl,
+  siteTitle,
+  sections,
+  productName = "VS Code Insiders",
+  idPrefix = "urn:vscode-insiders-build:",
+  pagesDir = "builds",
+  publicDir = "",
+}) {
+  const base = String(siteUrl || "").replace(/\/+$/, "");
+  const common = {
+    productName,
+    idPrefix,
+    feedUrl: publicDir ? `${base}/${publicDir}` : base,
+    homeUrl: `${base}/${pagesDir}/`,
+  };
+  const files = renderAllFormats({
+    ...common,
+    dir: "",
+    title: siteTitle,
+    description: `Per-build changelog for ${productName}`,
+    items: toFeedItems(records, { siteUrl: base, pagesDir, productName, sections }),
+  });
+
+  for (const section of sections) {
+    const matching = records.filter((r) => sectionItems(r, section.label).length);
+    Object.assign(files, renderAllFormats({
+      ...common,
+      dir: `feeds/${section.slug}`,
+      title: `${siteTitle} — ${section.title}`,
+      description: `${productName} builds: ${section.title} only`,
+      items: toFeedItems(matching, { siteUrl: base, pagesDir, productName, sections: [section] }),
+    }));
+  }
+
+  return files;
+}
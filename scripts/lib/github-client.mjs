@@ -0,0 +1,224 @@
+// GitHub REST client used by the generator.
+//
+// - REST via `json(url)` (GET) and `request(url, { method, body })` (writes), GraphQL via
+//   `graphql(query, variables)`; all share the behavior below.
+// - Conditional requests: 200 responses with an ETag are cached on disk; later runs send
+//   If-None-Match and reuse the cached body on 304 (which does not count against the rate limit).
+// - Rate limits: reads x-ratelimit-* / retry-after and waits instead of failing, up to a cap.
+// - Transient failures (5xx, network errors) are retried with exponential backoff.
+// - Bounded concurrency: at most `concurrency` requests are in flight at once.
+// - Stats for the run summary: calls made, served from cache, retried, rate limit left.
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { getHttpMode, httpFetch } from "./http.mjs";
+
+const DEFAULT_MAX_RETRIES = 3;
+// Never sleep longer than this for a rate limit reset; fail instead so the workflow can retry later.
+const DEFAULT_MAX_RATE_LIMIT_WAIT_MS = 15 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createGitHubClient({
+  token,
+  cacheDir,
+  userAgent = "insiders-changes-site",
+  concurrency = 4,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  maxRateLimitWaitMs = DEFAULT_MAX_RATE_LIMIT_WAIT_MS,
+} = {}) {
+  const stats = { calls: 0, cached: 0, retried: 0, rateLimitWaits: 0 };
+  const rateLimit = { limit: null, remaining: null, resetAt: null };
+
+  // Simple semaphore for in-flight requests.
+  let active = 0;
+  const waiting = [];
+  async function acquire() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+    active++;
+  }
+  function release() {
+    active--;
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  function cachePath(url, accept) {
+    const key = createHash("sha256").update(`${accept}\n${url}`).digest("hex").slice(0, 32);
+    return join(cacheDir, `${key}.json`);
+  }
+
+  // Recorded/replayed runs bypass the ETag cache so fixtures never depend on local cache state.
+  function cacheEnabled() {
+    return Boolean(cacheDir) && getHttpMode().mode === "live";
+  }
+
+  async function readCache(url, accept) {
+    if (!cacheEnabled()) return null;
+    try {
+      return JSON.parse(await readFile(cachePath(url, accept), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  async function writeCache(url, accept, etag, body) {
+    if (!cacheEnabled() || !etag) return;
+    await mkdir(cacheDir, { recursive: true });
+    await writeFile(cachePath(url, accept), JSON.stringify({ url, etag, body }) + "\n", "utf8");
+  }
+
+  function updateRateLimit(res) {
+    const limit = res.headers.get("x-ratelimit-limit");
+    const remaining = res.headers.get("x-ratelimit-remaining");
+    const reset = res.headers.get("x-ratelimit-reset");
+    if (limit != null) rateLimit.limit = Number(limit);
+    if (remaining != null) rateLimit.remaining = Number(remaining);
+    if (reset != null) rateLimit.resetAt = new Date(Number(reset) * 1000).toISOString();
+  }
+
+  function rateLimitDelayMs(res) {
+    // Secondary rate limits send retry-after; primary limits send remaining=0 + reset.
+    const retryAfter = res.headers.get("retry-after");
+    if (retryAfter != null && !Number.isNaN(Number(retryAfter))) return Number(retryAfter) * 1000;
+    if (res.headers.get("x-ratelimit-remaining") === "0") {
+      const reset = Number(res.headers.get("x-ratelimit-reset"));
+      if (reset) return Math.max(0, reset * 1000 - Date.now()) + 1000;
+    }
+    return null;
+  }
+
+  async function waitForRateLimit(ms, url) {
+    if (ms > maxRateLimitWaitMs) {
+      throw new Error(
+        `GitHub rate limit exhausted; reset is ${Math.ceil(ms / 60000)} min away (limit ${rateLimit.limit ?? "?"}).`,
+      );
+    }
+    stats.rateLimitWaits++;
+    console.warn(`GitHub rate limited; waiting ${Math.ceil(ms / 1000)}s before retrying ${url}`);
+    await sleep(ms);
+  }
+
+  async function send(url, { method = "GET", body, extraHeaders = {}, cacheable = false }) {
+    const accept = extraHeaders.Accept || "application/vnd.github+json";
+    const cached = cacheable ? await readCache(url, accept) : null;
+
+    await acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        // Proactively wait if the previous response told us the budget is spent.
+        if (rateLimit.remaining === 0 && rateLimit.resetAt) {
+          const ms = new Date(rateLimit.resetAt).getTime() - Date.now() + 1000;
+          if (ms > 0) await waitForRateLimit(ms, url);
+          rateLimit.remaining = null;
+        }
+
+        let res;
+        try {
+          stats.calls++;
+          res = await httpFetch(url, {
+            method,
+            body,
+            headers: {
+              Accept: accept,
+              ...(token ? { Authorization: `Bearer ${token}` } : {}),
+              "X-GitHub-Api-Version": "2022-11-28",
+              "User-Agent": userAgent,
+              ...(body ? { "Content-Type": "application/json" } : {}),
+              ...(cached?.etag ? { "If-None-Match": cached.etag } : {}),
+              ...extraHeaders,
+            },
+          });
+        } catch (err) {
+          // Network-level failure: treat like a transient 5xx.
+          if (attempt >= maxRetries) throw err;
+          stats.retried++;
+          await sleep(1000 * 2 ** attempt);
+          continue;
+        }
+
+        updateRateLimit(res);
+
+        if (res.status === 304 && cached) {
+          stats.cached++;
+          return cached.body;
+        }
+
+        if (res.status === 204) return null;
+
+        if (res.ok) {
+          const data = await res.json();
+          if (cacheable) await writeCache(url, accept, res.headers.get("etag"), data);
+          return data;
+        }
+
+        const text = await res.text();
+        const limitDelay = (res.status === 403 || res.status === 429) ? rateLimitDelayMs(res) : null;
+        if (limitDelay != null && attempt < maxRetries) {
+          await waitForRateLimit(limitDelay, url);
+          stats.retried++;
+          continue;
+        }
+        if (res.status >= 500 && attempt < maxRetries) {
+          stats.retried++;
+          await sleep(1000 * 2 ** attempt);
+          continue;
+        }
+
+        const err = new Error(`GitHub error ${res.status} ${res.statusText}: ${text}`);
+        // Callers branch on this (e.g. 404 = "does not exist yet").
+        err.status = res.status;
+        throw err;
+      }
+    } finally {
+      release();
+    }
+  }
+
+  async function json(url, extraHeaders = {}) {
+    return send(url, { extraHeaders, cacheable: true });
+  }
+
+  // Uncached request for writes (and reads that must be fresh). Object bodies are sent as JSON;
+  // strings are sent as-is (pass a Content-Type header for non-JSON uploads).
+  async function request(url, { method = "GET", body, headers = {} } = {}) {
+    const payload = body == null || typeof body === "string" ? body : JSON.stringify(body);
+    return send(url, { method, body: payload, extraHeaders: headers });
+  }
+
+  async function graphql(query, variables = {}) {
+    // https://docs.github.com/en/graphql/guides/forming-calls-with-graphql
+    if (!token) throw new Error("GITHUB_TOKEN is required for GitHub GraphQL requests.");
+    const res = await send("https://api.github.com/graphql", {
+      method: "POST",
+      body: JSON.stringify({ query, variables }),
+    });
+    if (!res?.data) {
+      const message = (res?.errors || []).map((e) => e?.message).filter(Boolean).join("; ");
+      throw new Error(`GitHub GraphQL error: ${message || "response had no data"}`);
+    }
+    // Partial errors (e.g. one alias NOT_FOUND) still come with usable data.
+    for (const e of res.errors || []) {
+      console.warn(`GitHub GraphQL warning: ${e?.message || JSON.stringify(e)}`);
+    }
+    return res.data;
+  }
+
+  function summary() {
+    const parts = [`${stats.calls} call(s)`, `${stats.cached} served from cache (304)`, `${stats.retried} retried`];
+    if (stats.rateLimitWaits) parts.push(`${stats.rateLimitWaits} rate limit wait(s)`);
+    if (rateLimit.remaining != null) {
+      parts.push(`rate limit ${rateLimit.remaining}/${rateLimit.limit ?? "?"} left (resets ${rateLimit.resetAt})`);
+    }
+    return `GitHub API: ${parts.join(", ")}`;
+  }
+
+  return { json, request, graphql, stats, rateLimit, summary };
+}
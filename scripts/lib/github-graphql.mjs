@@ -0,0 +1,172 @@
+// GraphQL batch path for resolving the PRs in a build range.
+//
+// The REST path costs one request per commit (`/commits/{sha}/pulls`) plus several per PR.
+// Here, commits are resolved to PR numbers many at a time via `associatedPullRequests`, and PR
+// details (title, body, labels, author, merged_at, milestone, comments, reviews, closing issue
+// references) come back in the same kind of aliased batch query.
+//
+// The output mirrors the REST shapes the rest of the pipeline consumes, so both paths can be
+// compared on the same range.
+
+import { mapWithConcurrency } from "./pool.mjs";
+
+const COMMITS_PER_QUERY = 50;
+const PRS_PER_QUERY = 20;
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+function splitRepo(repo) {
+  const [owner, name] = String(repo || "").split("/");
+  if (!owner || !name) throw new Error(`Invalid repo '${repo}'; expected owner/name.`);
+  return { owner, name };
+}
+
+// Returns Map(PR number -> SHAs of the given commits that belong to it).
+async function resolvePullNumbersForCommits({ graphql, repo, shas, concurrency }) {
+  const { owner, name } = splitRepo(repo);
+  const numbers = new Map();
+
+  await mapWithConcurrency(chunk(shas, COMMITS_PER_QUERY), concurrency, async (batch) => {
+    const vars = batch.map((_, i) => `$c${i}: GitObjectID!`).join(", ");
+    const fields = batch.map((_, i) => `
+      c${i}: object(oid: $c${i}) {
+        ... on Commit {
+          associatedPullRequests(first: 5) { nodes { number merged } }
+        }
+      }`).join("");
+    const query = `query($owner: String!, $name: String!, ${vars}) {
+      repository(owner: $owner, name: $name) {${fields}
+      }
+    }`;
+
+    const variables = { owner, name };
+    batch.forEach((sha, i) => {
+      variables[`c${i}`] = sha;
+    });
+
+    const data = await graphql(query, variables);
+    batch.forEach((sha, i) => {
+      for (const pr of data?.repository?.[`c${i}`]?.associatedPullRequests?.nodes || []) {
+        if (!pr?.merged || typeof pr.number !== "number") continue;
+        if (!numbers.has(pr.number)) numbers.set(pr.number, []);
+        numbers.get(pr.number).push(sha);
+      }
+    });
+  });
+
+  return numbers;
+}
+
+// GitHub's closing-issue references ("Fixes #123", or issues linked in the PR sidebar).
+const CLOSING_ISSUES_FIELD = "closingIssuesReferences(first: 25) { nodes { number repository { nameWithOwner } } }";
+
+function toClosingIssues(node) {
+  return (node?.closingIssuesReferences?.nodes || [])
+    .filter((n) => typeof n?.number === "number")
+    .map((n) => ({ number: n.number, repo: n.repository?.nameWithOwner || null }));
+}
+
+function toRestComment(node) {
+  return { user: { login: node?.author?.login || "" }, body: node?.body || "" };
+}
+
+function toRestPullRequest(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    body: node.body || "",
+    html_url: node.url,
+    merged_at: node.mergedAt || null,
+    user: node.author ? { login: node.author.login } : null,
+    labels: (node.labels?.nodes || []).map((l) => ({ name: l?.name })).filter((l) => l.name),
+    milestone: node.milestone ? { title: node.milestone.title } : null,
+    closing_issues: toClosingIssues(node),
+  };
+}
+
+async function fetchPullRequests({ graphql, repo, numbers, concurrency }) {
+  const { owner, name } = splitRepo(repo);
+  const out = [];
+
+  await mapWithConcurrency(chunk(numbers, PRS_PER_QUERY), concurrency, async (batch) => {
+    const vars = batch.map((_, i) => `$p${i}: Int!`).join(", ");
+    const fields = batch.map((_, i) => `
+      p${i}: pullRequest(number: $p${i}) {
+        number title body url mergedAt
+        author { login }
+        labels(first: 50) { nodes { name } }
+        milestone { title }
+        ${CLOSING_ISSUES_FIELD}
+        comments(first: 100) { nodes { author { login } body } }
+        reviews(first: 100) { nodes { author { login } body } }
+      }`).join("");
+    const query = `query($owner: String!, $name: String!, ${vars}) {
+      repository(owner: $owner, name: $name) {${fields}
+      }
+    }`;
+
+    const variables = { owner, name };
+    batch.forEach((n, i) => {
+      variables[`p${i}`] = n;
+    });
+
+    const data = await graphql(query, variables);
+    for (const node of Object.values(data?.repository || {})) {
+      if (!node?.number || !node.mergedAt) continue;
+      out.push({
+        pr: toRestPullRequest(node),
+        comments: (node.comments?.nodes || []).map(toRestComment),
+        reviews: (node.reviews?.nodes || []).map(toRestComment),
+      });
+    }
+  });
+
+  return out;
+}
+
+// Returns [{ pr, comments, reviews }] for every merged PR associated with the given commits.
+// `pr` uses REST field names (number, title, body, html_url, merged_at, user.login, labels[].name),
+// plus `closing_issues: [{ number, repo }]`, which REST does not have, and `commit_shas` (the given
+// commits that belong to the PR).
+export async function resolvePullRequestsViaGraphql({ graphql, repo, commits, concurrency = 2 }) {
+  const shas = (commits || []).map((c) => c?.sha).filter(Boolean);
+  const numbers = await resolvePullNumbersForCommits({ graphql, repo, shas, concurrency });
+  const resolved = await fetchPullRequests({ graphql, repo, numbers: Array.from(numbers.keys()), concurrency });
+  for (const { pr } of resolved) pr.commit_shas = numbers.get(pr.number) || [];
+  return resolved;
+}
+
+// Closing-issue references for PRs resolved over REST. Returns Map(PR number -> [{ number, repo }]).
+export async function resolveClosingIssuesViaGraphql({ graphql, repo, numbers, concurrency = 2 }) {
+  const { owner, name } = splitRepo(repo);
+  const out = new Map();
+
+  await mapWithConcurrency(chunk(numbers || [], PRS_PER_QUERY), concurrency, async (batch) => {
+    const vars = batch.map((_, i) => `$p${i}: Int!`).join(", ");
+    const fields = batch.map((_, i) => `
+      p${i}: pullRequest(number: $p${i}) {
+        number
+        ${CLOSING_ISSUES_FIELD}
+      }`).join("");
+    const query = `query($owner: String!, $name: String!, ${vars}) {
+      repository(owner: $owner, name: $name) {${fields}
+      }
+    }`;
+
+    const variables = { owner, name };
+    batch.forEach((n, i) => {
+      variables[`p${i}`] = n;
+    });
+
+    const data = await graphql(query, variables);
+    for (const node of Object.values(data?.repository || {})) {
+      if (node?.number) out.set(node.number, toClosingIssues(node));
+    }
+  });
+
+  return out;
+}
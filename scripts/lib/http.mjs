@@ -0,0 +1,118 @@
+// Pluggable HTTP transport for the generator.
+//
+// Every upstream call (GitHub REST, raw.githubusercontent.com, the VS Code update service and
+// OpenAI) goes through `httpFetch()`, so a run can be recorded to fixtures and replayed later
+// without any network access.
+//
+// Modes:
+// - live   (default): plain global fetch
+// - record: live fetch, and every request/response pair is written to `<dir>/<key>.json`
+// - replay: responses are served from `<dir>`; an unrecorded request throws
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+const FIXTURE_VERSION = 1;
+
+let mode = "live";
+let fixturesDir = null;
+const stats = { live: 0, recorded: 0, replayed: 0 };
+
+export function configureHttp({ record, replay } = {}) {
+  if (record && replay) throw new Error("Use either --record <dir> or --replay <dir>, not both.");
+  if (record) {
+    mode = "record";
+    fixturesDir = resolve(String(record));
+  } else if (replay) {
+    mode = "replay";
+    fixturesDir = resolve(String(replay));
+  } else {
+    mode = "live";
+    fixturesDir = null;
+  }
+}
+
+export function isReplaying() {
+  return mode === "replay";
+}
+
+export function getHttpMode() {
+  return { mode, dir: fixturesDir, stats: { ...stats } };
+}
+
+function normalizeRequest(input, init = {}) {
+  const url = typeof input === "string" ? input : input instanceof URL ? input.href : String(input?.url || input);
+  const method = String(init.method || input?.method || "GET").toUpperCase();
+  const body = typeof init.body === "string" ? init.body : init.body == null ? "" : String(init.body);
+  return { method, url, body };
+}
+
+function fixtureKey({ method, url, body }) {
+  // Headers are intentionally excluded: they carry tokens and SDK-specific noise (retry counts, versions).
+  const hash = createHash("sha256").update(`${method} ${url}\n${body}`).digest("hex").slice(0, 20);
+  let host = "request";
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, "_");
+  } catch {
+    // ignore
+  }
+  return `${host}_${method.toLowerCase()}_${hash}`;
+}
+
+function responseFromFixture(fixture) {
+  const { status, statusText, headers, body } = fixture.response;
+  // Null-body statuses cannot carry a body in the Fetch API.
+  const nullBody = status === 204 || status === 304 || fixture.request.method === "HEAD";
+  return new Response(nullBody ? null : body, { status, statusText, headers });
+}
+
+async function recordFetch(req, input, init) {
+  const res = await fetch(input, init);
+  const body = req.method === "HEAD" ? "" : await res.text();
+  // The stored body is already decoded, so encoding/length headers would no longer be accurate.
+  const headers = Object.fromEntries(res.headers.entries());
+  delete headers["content-encoding"];
+  delete headers["content-length"];
+  const fixture = {
+    fixtureVersion: FIXTURE_VERSION,
+    request: req,
+    response: {
+      status: res.status,
+      statusText: res.statusText,
+      headers,
+      body,
+    },
+  };
+
+  await mkdir(fixturesDir, { recursive: true });
+  await writeFile(join(fixturesDir, `${fixtureKey(req)}.json`), JSON.stringify(fixture, null, 2) + "\n", "utf8");
+  stats.recorded++;
+  return responseFromFixture(fixture);
+}
+
+async function replayFetch(req) {
+  const key = fixtureKey(req);
+  let raw;
+  try {
+    raw = await readFile(join(fixturesDir, `${key}.json`), "utf8");
+  } catch {
+    throw new Error(
+      `Replay: no recorded response for ${req.method} ${req.url} (fixture ${key}.json in ${fixturesDir}). ` +
+      "Re-record the fixtures with --record <dir>.",
+    );
+  }
+  stats.replayed++;
+  return responseFromFixture(JSON.parse(raw));
+}
+
+export async function httpFetch(input, init = {}) {
+  if (mode === "live") {
+    stats.live++;
+    return fetch(input, init);
+  }
+
+  const req = normalizeRequest(input, init);
+  if (mode === "replay") return replayFetch(req);
+  return recordFetch(req, input, init);
+}
@@ -0,0 +1,237 @@
+// Official installer links for one build (links to Microsoft-hosted binaries; we never
+// redistribute or upload the binaries themselves).
+//
+// The platform matrix (desktop installers, remote server, standalone CLI, web server) lives in
+// data/installers.json so it can be tuned without code changes; without it, the desktop
+// installers below are used.
+//
+// Update service semantics (`<quality>` is the channel: insider, stable, exploration):
+// - `https://update.code.visualstudio.com/commit:<sha>/<platform>/<quality>` redirects to the
+//   download for that exact commit, and 404s when the platform has no build for it.
+// - `/api/versions/commit:<sha>/<platform>/<quality>` returns that download's metadata
+//   (`sha256hash`, `productVersion`, `timestamp`, ...).
+// - `/api/update/<platform>/<quality>/latest` returns the same metadata for the newest build
+//   (`version` is its commit SHA). `/api/update/<platform>/<quality>/<currentVersion>` returns 204
+//   when `currentVersion` is already the latest, so it is never used here.
+//
+// Each link is the exact commit download when the update service has one, else the latest
+// build's download marked `exact: false` (`commit` says which build it installs).
+
+import { readFile } from "node:fs/promises";
+
+const UPDATE_BASE = "https://update.code.visualstudio.com";
+const USER_AGENT = "insiders-changes-site";
+const PLATFORM_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+export const INSTALLER_KINDS = [
+  { id: "desktop", title: "Desktop" },
+  { id: "server", title: "Server" },
+  { id: "cli", title: "CLI" },
+  { id: "web", title: "Web server" },
+];
+
+const DEFAULT_PLATFORMS = [
+  { id: "win32-x64-user", label: "User Setup, x64", os: "Windows", kind: "desktop" },
+  { id: "win32-x64", label: "System Setup, x64", os: "Windows", kind: "desktop" },
+  { id: "win32-arm64-user", label: "User Setup, ARM64", os: "Windows", kind: "desktop" },
+  { id: "win32-arm64", label: "System Setup, ARM64", os: "Windows", kind: "desktop" },
+  { id: "darwin", label: "Intel", os: "macOS", kind: "desktop" },
+  { id: "darwin-arm64", label: "Apple Silicon", os: "macOS", kind: "desktop" },
+  { id: "linux-x64", label: "tar.gz, x64", os: "Linux", kind: "desktop" },
+  { id: "linux-arm64", label: "tar.gz, ARM64", os: "Linux", kind: "desktop" },
+  { id: "linux-deb-x64", label: "deb, x64", os: "Linux", kind: "desktop" },
+  { id: "linux-deb-arm64", label: "deb, ARM64", os: "Linux", kind: "desktop" },
+  { id: "linux-rpm-x64", label: "rpm, x64", os: "Linux", kind: "desktop" },
+  { id: "linux-rpm-arm64", label: "rpm, ARM64", os: "Linux", kind: "desktop" },
+];
+
+export async function loadInstallerMatrix(path) {
+  let raw;
+  try {
+    raw = await readFile(path, "utf8");
+  } catch {
+    return { platforms: DEFAULT_PLATFORMS };
+  }
+
+  const json = JSON.parse(raw);
+  const platforms = Array.isArray(json?.platforms) ? json.platforms : [];
+  const kinds = INSTALLER_KINDS.map((k) => k.id);
+  const seen = new Set();
+  for (const p of platforms) {
+    if (!PLATFORM_ID_RE.test(String(p?.id || ""))) {
+      throw new Error(`Invalid platform id '${p?.id}' in ${path}; use update service ids like 'server-linux-x64'.`);
+    }
+    if (seen.has(p.id)) throw new Error(`Platform '${p.id}' is listed twice in ${path}.`);
+    seen.add(p.id);
+    if (!p.os) throw new Error(`Platform '${p.id}' in ${path} has no 'os'.`);
+    if (!kinds.includes(p.kind)) {
+      throw new Error(`Platform '${p.id}' in ${path} has kind '${p.kind}'; expected one of ${kinds.join(", ")}.`);
+    }
+  }
+
+  return {
+    platforms: platforms.map((p) => ({ id: p.id, label: p.label || p.id, os: String(p.os), kind: p.kind })),
+  };
+}
+
+export function commitDownloadUrl(buildSha, platformId, quality = "insider") {
+  return `${UPDATE_BASE}/commit:${buildSha}/${platformId}/${quality}`;
+}
+
+function shortSha(sha) {
+  return String(sha || "").slice(0, 7);
+}
+
+function artifactDetails(data) {
+  return {
+    sha256: data?.sha256hash || null,
+    productVersion: data?.productVersion || null,
+    timestamp: Number.isFinite(data?.timestamp) ? data.timestamp : null,
+  };
+}
+
+// Metadata for the exact commit download, or null when the update service has none (404).
+export async function getCommitMetadata({ buildSha, platformId, quality = "insider", fetchFn }) {
+  const url = `${UPDATE_BASE}/api/versions/commit:${buildSha}/${platformId}/${quality}`;
+  const res = await fetchFn(url, { headers: { "User-Agent": USER_AGENT } });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`GET ${url} returned ${res.status}.`);
+  return res.json();
+}
+
+// true: the commit download exists; false: it does not (404); throws on anything else.
+async function commitDownloadExists(fetchFn, url) {
+  const res = await fetchFn(url, { method: "HEAD", redirect: "manual", headers: { "User-Agent": USER_AGENT } });
+  if (res.status === 404) return false;
+  if (res.ok || (res.status >= 300 && res.status < 400)) return true;
+  throw new Error(`HEAD ${url} returned ${res.status}.`);
+}
+
+async function latestDownload(fetchFn, platformId, quality) {
+  const res = await fetchFn(`${UPDATE_BASE}/api/update/${platformId}/${quality}/latest`, {
+    headers: { "User-Agent": USER_AGENT },
+  });
+  if (!res.ok || res.status === 204) return null;
+  const data = await res.json();
+  return data?.url ? data : null;
+}
+
+// `fetchFn` is the generator's HTTP transport (so record/replay covers these calls).
+// Returns { links: [{ id, label, os, kind, url, exact, commit, sha256, productVersion, timestamp }], warnings }
+// with a link for every platform that has a download; `warnings` collects lookups that failed outright.
+export async function getInstallerLinksForBuild({ buildSha, platforms = DEFAULT_PLATFORMS, quality = "insider", fetchFn }) {
+  const links = [];
+  const warnings = [];
+
+  for (const p of platforms) {
+    const url = commitDownloadUrl(buildSha, p.id, quality);
+    let metadata = null;
+    try {
+      metadata = await getCommitMetadata({ buildSha, platformId: p.id, quality, fetchFn });
+    } catch (err) {
+      warnings.push(`${p.id} (metadata): ${String(err?.message || err)}`);
+    }
+    if (metadata) {
+      links.push({ ...p, url, exact: true, commit: buildSha, ...artifactDetails(metadata) });
+      continue;
+    }
+
+    // No metadata: the download itself may still exist (checksums are then unknown).
+    try {
+      if (await commitDownloadExists(fetchFn, url)) {
+        links.push({ ...p, url, exact: true, commit: buildSha, ...artifactDetails(null) });
+        continue;
+      }
+    } catch (err) {
+      warnings.push(`${p.id}: ${String(err?.message || err)}`);
+    }
+
+    try {
+      const latest = await latestDownload(fetchFn, p.id, quality);
+      if (!latest) continue;
+      // The latest build can be this very build (e.g. when a platform's commit lookup failed).
+      links.push({
+        ...p,
+        url: latest.url,
+        exact: latest.version === buildSha,
+        commit: latest.version || null,
+        ...artifactDetails(latest),
+      });
+    } catch (err) {
+      warnings.push(`${p.id} (latest): ${String(err?.message || err)}`);
+    }
+  }
+
+  return { links, warnings };
+}
+
+function mdCell(text) {
+  return String(text ?? "").replaceAll("\r", "").replaceAll("\n", " ").replaceAll("|", "\\|").trim();
+}
+
+function formatTimestamp(ms) {
+  if (!Number.isFinite(ms)) return "";
+  const d = new Date(ms);
+  return `${d.toISOString().slice(0, 10)} ${d.toISOString().slice(11, 16)} UTC`;
+}
+
+// Groups in order of first appearance (the matrix order). Records from before the matrix have
+// no `os`/`kind` and are listed under "Other".
+function groupLinks(links) {
+  const kindTitles = new Map(INSTALLER_KINDS.map((k) => [k.id, k.title]));
+  const groups = new Map();
+  for (const l of links) {
+    const key = l.os ? `${l.os}\n${l.kind}` : "";
+    if (!groups.has(key)) {
+      const title = l.os ? `${l.os} · ${kindTitles.get(l.kind) || l.kind}` : "Other";
+      groups.set(key, { title, items: [] });
+    }
+    groups.get(key).items.push(l);
+  }
+  return Array.from(groups.values());
+}
+
+// `productName` names the channel in the fallback notes (e.g. "VS Code Insiders").
+export function renderInstallersMarkdown(links, { buildSha, productName = "VS Code Insiders" } = {}) {
+  if (!Array.isArray(links) || links.length === 0) return "";
+
+  // Records from before exact links have no `exact` field; those links were always "latest".
+  const fallbacks = links.filter((l) => !l.exact);
+  const lines = [];
+  lines.push("## Installers");
+  lines.push("");
+  if (!fallbacks.length) {
+    lines.push(`Official download links for this build (\`${shortSha(buildSha)}\`):`);
+  } else if (fallbacks.length === links.length) {
+    lines.push(
+      `⚠️ These links install the latest ${productName} build at the time this page was generated, ` +
+      `not this exact build (\`${shortSha(buildSha)}\`):`,
+    );
+  } else {
+    lines.push(
+      `Official download links for this build (\`${shortSha(buildSha)}\`). ` +
+      `Links marked *latest build* install the latest ${productName} build instead:`,
+    );
+  }
+  lines.push("");
+
+  for (const group of groupLinks(links)) {
+    lines.push(`### ${mdCell(group.title)}`);
+    lines.push("");
+    lines.push("| Download | Version | Built | SHA-256 |");
+    lines.push("| --- | --- | --- | --- |");
+    for (const l of group.items) {
+      const which = l.commit ? ` (\`${shortSha(l.commit)}\`)` : "";
+      const marker = l.exact ? "" : ` — *latest build*${which}`;
+      lines.push(
+        `| [${mdCell(l.label || l.id)}](${l.url})${marker} ` +
+        `| ${l.productVersion ? `\`${mdCell(l.productVersion)}\`` : ""} ` +
+        `| ${formatTimestamp(l.timestamp)} ` +
+        `| ${l.sha256 ? `\`${mdCell(l.sha256)}\`` : ""} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
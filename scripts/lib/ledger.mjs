@@ -0,0 +1,136 @@
+// Build ledger (data/builds.json): the status of every Insiders feed build since tracking started.
+//
+// Statuses:
+//   pending            seen in the feed, no page yet
+//   generated          page written (`slug`); `aiPending` when the explainers came from the
+//                      heuristic fallback (`aiAttempts` counts those runs); the planner retries it
+//   failed             last attempt threw (`error`, `attempts`); the planner retries it
+//   skipped-too-large  more commits than the limit (`totalCommits`); only `--force` generates it
+//
+// `firstAvailableAt` (any status) is when a generator run first saw the build as the latest
+// available update; build records use it as the publish time when the update service has none.
+//
+// The ledger starts at `since` (the oldest build it knows about). Older feed entries predate the
+// site and are never reported as gaps.
+
+import { readFile, writeFile } from "node:fs/promises";
+
+const LEDGER_SCHEMA_VERSION = 1;
+export const LEDGER_STATUSES = ["pending", "generated", "failed", "skipped-too-large"];
+
+function shortSha(sha) {
+  return String(sha || "").slice(0, 7);
+}
+
+// Returns null when there is no ledger yet (callers fall back to the legacy state cursor).
+export async function readLedger(path) {
+  let raw;
+  try {
+    raw = await readFile(path, "utf8");
+  } catch {
+    return null;
+  }
+  const json = JSON.parse(raw);
+  return {
+    since: json?.since || null,
+    builds: Array.isArray(json?.builds) ? json.builds.filter((b) => b?.sha) : [],
+  };
+}
+
+export async function writeLedger(path, ledger) {
+  // No file-level timestamp: runs that change nothing should leave the file (and git) untouched.
+  const out = {
+    schemaVersion: LEDGER_SCHEMA_VERSION,
+    since: ledger.since,
+    builds: ledger.builds,
+  };
+  await writeFile(path, JSON.stringify(out, null, 2) + "\n", "utf8");
+}
+
+export function ledgerEntry(ledger, sha) {
+  return ledger?.builds.find((b) => b.sha === sha) || null;
+}
+
+// Adds every feed build newer than `since` as pending (or generated, when a page for it already
+// exists) and keeps entries in feed order, newest first. `pageSlugs` are docs/builds/ slugs.
+// Updates `ledger` in place (or creates one when it is null) and returns it.
+// A new ledger starts at the oldest build that has a page, else at `fallbackSince`.
+export function syncLedger(ledger, { feed, pageSlugs = [], fallbackSince = null }) {
+  const now = new Date().toISOString();
+  const next = ledger || { since: null, builds: [] };
+  const slugBySha7 = new Map(pageSlugs.map((slug) => [slug.split("_").pop(), slug]));
+
+  if (!next.since) {
+    const withPages = feed.filter((sha) => slugBySha7.has(shortSha(sha)));
+    next.since = withPages[withPages.length - 1] || fallbackSince || feed[0];
+  }
+
+  const sinceIndex = feed.indexOf(next.since);
+  // `since` dropped off the feed: everything still in the feed is newer, so track all of it.
+  const tracked = sinceIndex === -1 ? feed : feed.slice(0, sinceIndex + 1);
+
+  const bySha = new Map(next.builds.map((b) => [b.sha, b]));
+  for (const sha of tracked) {
+    const slug = slugBySha7.get(shortSha(sha));
+    const existing = bySha.get(sha);
+    if (existing) {
+      // A page on disk wins over a stale status (e.g. a run that generated it but failed to push the ledger).
+      if (slug && existing.status !== "generated") {
+        bySha.set(sha, withAvailability(
+          { sha, status: "generated", slug, firstSeenAt: existing.firstSeenAt || now, updatedAt: now },
+          existing,
+        ));
+      }
+      continue;
+    }
+    bySha.set(sha, slug
+      ? { sha, status: "generated", slug, firstSeenAt: now, updatedAt: now }
+      : { sha, status: "pending", firstSeenAt: now, updatedAt: now });
+  }
+
+  const inFeed = feed.filter((sha) => bySha.has(sha)).map((sha) => bySha.get(sha));
+  const dropped = next.builds.filter((b) => !feed.includes(b.sha));
+  next.builds = [...inFeed, ...dropped];
+  return next;
+}
+
+// A generated page still showing "AI summary pending" that has attempts left.
+export function needsAiRetry(entry, maxAttempts) {
+  return entry?.status === "generated" && Boolean(entry.aiPending) && (entry.aiAttempts || 1) < maxAttempts;
+}
+
+function withAvailability(entry, existing) {
+  if (existing?.firstAvailableAt) entry.firstAvailableAt = existing.firstAvailableAt;
+  return entry;
+}
+
+// Records that `sha` is the latest available update, unless an earlier run already saw it.
+// Returns the entry, or null when the build is not tracked.
+export function markAvailable(ledger, sha) {
+  const entry = ledgerEntry(ledger, sha);
+  if (!entry) return null;
+  if (!entry.firstAvailableAt) entry.firstAvailableAt = new Date().toISOString();
+  return entry;
+}
+
+// Updates (or adds) one build. `fields` replaces status-specific details from earlier attempts.
+export function markBuild(ledger, sha, status, fields = {}) {
+  if (!LEDGER_STATUSES.includes(status)) throw new Error(`Unknown ledger status '${status}'.`);
+  const now = new Date().toISOString();
+  const existing = ledgerEntry(ledger, sha);
+  const entry = {
+    sha,
+    status,
+    firstSeenAt: existing?.firstSeenAt || now,
+    updatedAt: now,
+    attempts: existing?.attempts || 0,
+    ...fields,
+  };
+  if (status === "failed") entry.attempts++;
+  if (!entry.attempts) delete entry.attempts;
+  withAvailability(entry, existing);
+
+  if (existing) ledger.builds[ledger.builds.indexOf(existing)] = entry;
+  else ledger.builds.unshift(entry);
+  return entry;
+}
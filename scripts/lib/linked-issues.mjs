@@ -0,0 +1,120 @@
+// Issues a PR closes ("Fixes #12345"), for the "Fixed issues" and "Needs verification" sections of
+// build pages.
+//
+// References come from GitHub's closing keywords in the PR body (close/fix/resolve and their
+// -s/-d forms, followed by `#123`, `owner/repo#123` or an issue URL) and from GitHub's own
+// closing-issue references when they are available (GraphQL `closingIssuesReferences`). Only
+// issues of the target repo are kept.
+//
+// Build records store each PR's issues as `linked_issues: [{ number, title, html_url, state,
+// state_reason, labels }]`, a snapshot from when the build was generated. `verification-needed`
+// issues without `verified` make up the tester checklist.
+
+import { mdEscapeEmphasis } from "./markdown.mjs";
+
+export const VERIFICATION_NEEDED_LABEL = "verification-needed";
+export const VERIFIED_LABEL = "verified";
+
+const CLOSING_REF_RE =
+  /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:([\w.-]+\/[\w.-]+)?#(\d+)|https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/issues\/(\d+))\b/gi;
+
+function sameRepo(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+// Issue numbers in `repo` that `text` closes, in order of appearance.
+export function parseClosingReferences(text, repo) {
+  const numbers = [];
+  for (const m of String(text || "").matchAll(CLOSING_REF_RE)) {
+    const refRepo = m[1] || m[3] || repo;
+    const n = Number(m[2] || m[4]);
+    if (sameRepo(refRepo, repo) && !numbers.includes(n)) numbers.push(n);
+  }
+  return numbers;
+}
+
+// Closing keywords in the body plus GitHub's references (`pr.closing_issues: [{ number, repo }]`).
+export function linkedIssueNumbers(pr, repo) {
+  const numbers = parseClosingReferences(pr?.body, repo);
+  for (const ref of pr?.closing_issues || []) {
+    if (sameRepo(ref.repo || repo, repo) && !numbers.includes(ref.number)) numbers.push(ref.number);
+  }
+  return numbers.filter((n) => n !== pr?.number);
+}
+
+export function toIssueRecord(issue) {
+  return {
+    number: issue.number,
+    title: issue.title || "",
+    html_url: issue.html_url || null,
+    state: issue.state || null,
+    state_reason: issue.state_reason || null,
+    labels: (issue.labels || []).map((l) => (typeof l === "string" ? l : l?.name)).filter(Boolean),
+  };
+}
+
+// Placeholder when the issue could not be fetched: the link still works.
+export function issueStub(repo, number) {
+  return { number, title: null, html_url: `https://github.com/${repo}/issues/${number}`, state: null, state_reason: null, labels: [] };
+}
+
+export function needsVerification(issue) {
+  const labels = issue?.labels || [];
+  return labels.includes(VERIFICATION_NEEDED_LABEL) && !labels.includes(VERIFIED_LABEL);
+}
+
+function issueRef(issue) {
+  const title = issue.title ? ` ${mdEscapeEmphasis(issue.title)}` : "";
+  return `${issue.html_url ? `[#${issue.number}](${issue.html_url})` : `#${issue.number}`}${title}`;
+}
+
+function prRef(pr) {
+  return pr.html_url ? `[#${pr.number}](${pr.html_url})` : `#${pr.number}`;
+}
+
+// Every issue once (newest PR first, as the PRs are ordered), with the PRs that close it.
+function collectIssues(pullRequests) {
+  const byNumber = new Map();
+  for (const pr of pullRequests || []) {
+    for (const issue of pr.linked_issues || []) {
+      if (!byNumber.has(issue.number)) byNumber.set(issue.number, { issue, prs: [] });
+      byNumber.get(issue.number).prs.push(pr);
+    }
+  }
+  return Array.from(byNumber.values());
+}
+
+export function renderLinkedIssuesMarkdown(pullRequests) {
+  const items = collectIssues(pullRequests);
+  if (!items.length) return "";
+
+  const lines = ["## 🔗 Fixed issues", ""];
+  for (const { issue, prs } of items) {
+    const state = issue.state === "open" ? " · *still open*" : "";
+    const verified = issue.labels.includes(VERIFIED_LABEL) ? " · verified" : "";
+    lines.push(`- ${issueRef(issue)}${state}${verified} · fixed by ${prs.map(prRef).join(", ")}`);
+  }
+
+  const toVerify = items.filter(({ issue }) => needsVerification(issue));
+  if (toVerify.length) {
+    lines.push("");
+    lines.push("## ✅ Needs verification");
+    lines.push("");
+    lines.push(`Issues labeled \`${VERIFICATION_NEEDED_LABEL}\` when this build was generated. Check them after updating to this build.`);
+    lines.push("");
+    for (const { issue, prs } of toVerify) {
+      lines.push(`- [ ] ${issueRef(issue)} (${prs.map(prRef).join(", ")})`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// What the explainer prompt (and its cache key) sees of a PR's issues; absent when there are none,
+// so PRs without linked issues keep their prompt and cache entries. Number and title only: labels
+// and state change after a build ships (`verified`), and must not invalidate cached explainers.
+export function linkedIssuesForPrompt(pr) {
+  const issues = Array.isArray(pr?.linked_issues) ? pr.linked_issues : [];
+  if (!issues.length) return undefined;
+  return issues.map((i) => ({ number: i.number, title: i.title || "" }));
+}
@@ -0,0 +1,20 @@
+// Escaping for text from GitHub (PR and issue titles, commit messages, names) placed in generated
+// markdown. Every page, report and section uses these, so the same text renders the same way
+// wherever it appears.
+
+// One line of text: no carriage returns, newlines folded into spaces (a newline would end a list
+// item or table cell).
+export function mdEscapeInline(text) {
+  return String(text ?? "").replaceAll("\r", "").replaceAll("\n", " ").trim();
+}
+
+// Text inside emphasis, a list item or a quote (PR titles, explainers): also escapes what markdown
+// would read as formatting, links or HTML tags, and braces as entities. VitePress compiles pages
+// as Vue templates, so `<webview>` would be an unclosed element and `{{ x }}` an interpolation;
+// a backslash does not stop the latter, since markdown drops it before Vue sees the text.
+export function mdEscapeEmphasis(text) {
+  return mdEscapeInline(text)
+    .replace(/([\\`*_[\]<>])/g, "\\$1")
+    .replaceAll("{", "&#123;")
+    .replaceAll("}", "&#125;");
+}
@@ -0,0 +1,78 @@
+// Commits in a build range that no listed PR accounts for: direct pushes, merges from release
+// branches, and commits whose PR lookup failed.
+//
+// A commit is covered when the PR lookup tied it to one of the build's PRs (`pr.commit_shas`) or
+// when its message names one of them (`... (#123)` squash merges, `Merge pull request #123`),
+// which also catches commits whose lookup failed.
+//
+// Build records keep the rest as `otherCommits: [{ sha, message, author, url, committedAt, revert? }]`
+// (first line of the message only; `revert` as detected on the full message, see reverts.mjs).
+// Records from before this field have no coverage line.
+
+import { mdEscapeEmphasis } from "./markdown.mjs";
+import { detectRevert, prNumberFromCommitMessage } from "./reverts.mjs";
+
+function firstLine(message) {
+  return String(message || "").split("\n")[0].trim();
+}
+
+function toOtherCommitRecord(repo, c) {
+  const message = c?.commit?.message;
+  const revert = detectRevert({ title: firstLine(message), messages: [message] });
+  return {
+    sha: c.sha,
+    message: firstLine(message),
+    author: c?.author?.login || c?.commit?.author?.name || null,
+    url: c.html_url || `https://github.com/${repo}/commit/${c.sha}`,
+    committedAt: c?.commit?.committer?.date || c?.commit?.author?.date || null,
+    ...(revert ? { revert } : {}),
+  };
+}
+
+// `commits`: the compare range (REST commit objects, oldest first). Returns the uncovered ones,
+// newest first (like the PRs).
+export function findOtherCommits({ repo, commits, pullRequests }) {
+  const numbers = new Set((pullRequests || []).map((pr) => pr.number));
+  const covered = new Set((pullRequests || []).flatMap((pr) => pr.commit_shas || []));
+  return (commits || [])
+    .filter((c) => c?.sha && !covered.has(c.sha) && !numbers.has(prNumberFromCommitMessage(c?.commit?.message)))
+    .map((c) => toOtherCommitRecord(repo, c))
+    .reverse();
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// "112 commits · 38 PRs · 4 unassociated commits", or "" for records without `otherCommits`.
+export function renderCoverageMarkdown(record) {
+  if (!Array.isArray(record?.otherCommits)) return "";
+  const total = record.compare?.totalCommits ?? 0;
+  const parts = [
+    plural(total, "commit"),
+    plural((record.pullRequests || []).length, "PR"),
+    plural(record.otherCommits.length, "unassociated commit"),
+  ];
+  return `Coverage: ${parts.join(" · ")}`;
+}
+
+// "⏪ reverts #123" on a revert commit whose original PRs are known (same repo as the commit).
+function revertsMarkdown(c) {
+  const numbers = c.revert?.numbers || [];
+  if (!numbers.length) return "";
+  const refs = numbers.map((n) => (c.url ? `[#${n}](${c.url.replace(/\/commit\/[0-9a-f]+$/, `/pull/${n}`)})` : `#${n}`));
+  return ` · ⏪ *reverts ${refs.join(", ")}*`;
+}
+
+export function renderOtherCommitsMarkdown(otherCommits) {
+  if (!Array.isArray(otherCommits) || !otherCommits.length) return "";
+
+  const lines = ["## 🧾 Other commits", ""];
+  lines.push("Commits in this build that are not part of any PR listed above.");
+  lines.push("");
+  for (const c of otherCommits) {
+    const author = c.author ? ` · ${mdEscapeEmphasis(c.author)}` : "";
+    lines.push(`- [\`${String(c.sha).slice(0, 7)}\`](${c.url}) ${mdEscapeEmphasis(c.message) || "*(no message)*"}${author}${revertsMarkdown(c)}`);
+  }
+  return lines.join("\n") + "\n";
+}
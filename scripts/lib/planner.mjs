@@ -0,0 +1,128 @@
+// Poll planner: decides which Insiders builds the scheduled workflow should generate next.
+//
+// Pure function of its inputs (no network), so `update-data.mjs plan --explain` can show the
+// decision for every feed entry and the rules can be exercised with hand-written feeds.
+//
+// Rules:
+// - Only builds at or below the latest *available* update are considered; newer feed entries
+//   are not installable yet.
+// - With a build ledger (data/builds.json, see ./ledger.mjs): every available build since the
+//   ledger start that has no page yet, including failed builds (up to `maxAttempts`), oldest
+//   first. This backfills gaps left by the cap, failed runs and out-of-order runs. Pages
+//   generated with the heuristic fallback ("AI summary pending") are retried the same way.
+// - Without a ledger (legacy `lastProcessedBuildSha` cursor): no state yet bootstraps with the
+//   latest available build; otherwise every available build newer than the cursor.
+// - Either way, at most `maxBuilds` per poll (the rest is picked up by later polls).
+
+import { ledgerEntry, needsAiRetry } from "./ledger.mjs";
+
+export const DEFAULT_MAX_BUILDS = 3;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+function planFromLedger({ feed, availableIndex, ledger, cap, maxAttempts, reasons }) {
+  let sinceIndex = feed.indexOf(ledger.since);
+  if (sinceIndex === -1) sinceIndex = feed.length - 1;
+
+  // Oldest first.
+  const candidates = [];
+  for (let i = sinceIndex; i >= availableIndex; i--) {
+    const entry = ledgerEntry(ledger, feed[i]);
+    const status = entry?.status || "pending";
+    if (needsAiRetry(entry, maxAttempts)) {
+      candidates.push({ i, reason: `retry AI summary (attempt ${(entry.aiAttempts || 1) + 1}/${maxAttempts})` });
+    } else if (status === "generated" && entry.aiPending) {
+      reasons.set(i, `generated, AI summary still pending after ${entry.aiAttempts || 1} attempt(s); run with --force to retry`);
+    } else if (status === "generated") {
+      reasons.set(i, "already generated");
+    } else if (status === "skipped-too-large") {
+      reasons.set(i, `skipped as too large (${entry.totalCommits ?? "?"} commits); run with --force to generate it`);
+    } else if (status === "failed" && (entry.attempts || 0) >= maxAttempts) {
+      reasons.set(i, `failed ${entry.attempts} time(s); not retried automatically (last error: ${entry.error || "unknown"})`);
+    } else {
+      candidates.push({
+        i,
+        reason: status === "failed"
+          ? `retry after failure (attempt ${(entry.attempts || 0) + 1}/${maxAttempts})`
+          : "not processed yet",
+      });
+    }
+  }
+  for (let i = sinceIndex + 1; i < feed.length; i++) reasons.set(i, "older than the start of the build ledger");
+
+  const selected = [];
+  for (const [n, { i, reason }] of candidates.entries()) {
+    if (n < cap) {
+      selected.push(i);
+      reasons.set(i, reason);
+    } else {
+      reasons.set(i, `${reason}, but over the backfill cap of ${cap}; a later poll picks it up`);
+    }
+  }
+  return selected;
+}
+
+// `feed` is the insiders commits feed (newest first). Returns
+// { builds (oldest first), availableSha, availableIndex, decisions: [{ sha, selected, reason }], warnings }.
+export function planBuilds({
+  feed,
+  availableSha,
+  lastProcessedSha,
+  ledger = null,
+  maxBuilds = DEFAULT_MAX_BUILDS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) {
+  if (!Array.isArray(feed) || !feed.length) throw new Error("Insiders commits feed is empty.");
+  const cap = Math.max(1, Math.floor(Number(maxBuilds) || DEFAULT_MAX_BUILDS));
+  const warnings = [];
+
+  let availableIndex = availableSha ? feed.indexOf(availableSha) : 0;
+  if (availableIndex === -1) {
+    warnings.push(`Latest update SHA ${String(availableSha).slice(0, 7)} not found in commits feed; falling back to feed head.`);
+    availableIndex = 0;
+  }
+
+  const reasons = new Map();
+  const selected = [];
+  const lastIndex = lastProcessedSha ? feed.indexOf(lastProcessedSha) : -1;
+
+  for (let i = 0; i < availableIndex; i++) reasons.set(i, "newer than the latest available update (not installable yet)");
+
+  if (ledger?.since) {
+    selected.push(...planFromLedger({ feed, availableIndex, ledger, cap, maxAttempts, reasons }));
+  } else if (!lastProcessedSha) {
+    selected.push(availableIndex);
+    reasons.set(availableIndex, "bootstrap: no build processed yet, starting at the latest available build");
+    for (let i = availableIndex + 1; i < feed.length; i++) reasons.set(i, "older than the bootstrap build");
+  } else if (lastIndex === -1) {
+    selected.push(availableIndex);
+    reasons.set(availableIndex, "last processed build is no longer in the feed; jumping to the latest available build");
+    for (let i = availableIndex + 1; i < feed.length; i++) reasons.set(i, "older than the latest available build");
+  } else if (lastIndex < availableIndex) {
+    for (let i = availableIndex; i < feed.length; i++) {
+      reasons.set(i, "not newer than the last processed build (which is ahead of the latest available update)");
+    }
+  } else {
+    // Unprocessed builds, oldest first.
+    const pending = [];
+    for (let i = lastIndex - 1; i >= availableIndex; i--) pending.push(i);
+    for (const [n, i] of pending.entries()) {
+      if (n < cap) {
+        selected.push(i);
+        reasons.set(i, "not processed yet");
+      } else {
+        reasons.set(i, `over the backfill cap of ${cap}; a later poll picks it up`);
+      }
+    }
+    reasons.set(lastIndex, "last processed build");
+    for (let i = lastIndex + 1; i < feed.length; i++) reasons.set(i, "already processed");
+  }
+
+  const picked = new Set(selected);
+  return {
+    builds: selected.map((i) => feed[i]),
+    availableSha: feed[availableIndex],
+    availableIndex,
+    decisions: feed.map((sha, i) => ({ sha, selected: picked.has(i), reason: reasons.get(i) || "" })),
+    warnings,
+  };
+}
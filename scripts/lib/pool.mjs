@@ -0,0 +1,26 @@
+// Bounded-concurrency map. Unlike Promise.all, it lets every item settle before rethrowing the
+// first failure, so callers never continue while other work is still in flight.
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const errors = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(list[i], i);
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+  }
+
+  const size = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  await Promise.all(Array.from({ length: size }, () => worker()));
+
+  if (errors.length) throw errors[0];
+  return results;
+}
@@ -0,0 +1,161 @@
+// Combined report for a range of builds (`update-data.mjs --from <sha> --to <sha>`).
+//
+// Input is the list of build records covering the range (oldest first), either read from
+// data/builds/ or generated on the fly. PRs are de-duplicated by number: each PR is listed once,
+// under the build it first landed in, grouped by change label and then by feature area.
+//
+// `buildRangeReport()` returns the JSON report; `renderRangeReportMarkdown()` renders it.
+
+import { areasForLabels } from "./areas.mjs";
+import { mdEscapeEmphasis, mdEscapeInline } from "./markdown.mjs";
+
+const NO_AREA_ID = "";
+const NO_AREA_TITLE = "Other";
+
+function formatUtc(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return String(iso || "");
+  return `${d.toISOString().slice(0, 10)} ${d.toISOString().slice(11, 16)} UTC`;
+}
+
+function shortSha(sha) {
+  return String(sha || "").slice(0, 7);
+}
+
+// `records` oldest-first; `sources` maps slug -> "record" | "generated" (how the data was obtained).
+// `sections` is [{ label: "add", title: "✨ NEW" }, ...] in page order.
+export function buildRangeReport({ repo, fromSha, toSha, records, sources = {}, areaConfig, sections }) {
+  const byNumber = new Map();
+
+  for (const record of records) {
+    for (const pr of record.pullRequests || []) {
+      const existing = byNumber.get(pr.number);
+      if (existing) {
+        existing.builds.push(record.slug);
+        continue;
+      }
+      const entry = record.explainers?.[String(pr.number)] || null;
+      byNumber.set(pr.number, {
+        number: pr.number,
+        title: pr.title || "",
+        url: pr.html_url || null,
+        author: pr.author || null,
+        mergedAt: pr.merged_at || null,
+        labels: pr.labels || [],
+        areas: areasForLabels(pr.labels, areaConfig),
+        change: entry?.label || "refactor",
+        explainer: entry?.explainer || "",
+        firstBuild: record.slug,
+        builds: [record.slug],
+      });
+    }
+  }
+
+  const pullRequests = Array.from(byNumber.values());
+  const byChange = {};
+  for (const s of sections) byChange[s.label] = pullRequests.filter((pr) => pr.change === s.label).length;
+
+  const oldest = records[0];
+  const newest = records[records.length - 1];
+  return {
+    repo,
+    fromSha,
+    toSha,
+    compareUrl: `https://github.com/${repo}/compare/${fromSha}...${toSha}`,
+    fromVersion: oldest?.version || null,
+    toVersion: newest?.version || null,
+    generatedAt: new Date().toISOString(),
+    builds: records.map((r) => ({
+      slug: r.slug,
+      buildSha: r.buildSha,
+      previousSha: r.previousSha,
+      version: r.version,
+      committedAt: r.committedAt,
+      pullRequests: (r.pullRequests || []).length,
+      aiPending: Boolean(r.aiPending),
+      source: sources[r.slug] || "record",
+    })),
+    counts: {
+      builds: records.length,
+      pullRequests: pullRequests.length,
+      duplicates: pullRequests.reduce((n, pr) => n + pr.builds.length - 1, 0),
+      byChange,
+    },
+    pullRequests,
+  };
+}
+
+function groupByArea(items, areaConfig) {
+  // A PR is listed once, under its first area (table order); the rest are named inline.
+  const groups = [];
+  for (const area of [...(areaConfig?.areas || []), { id: NO_AREA_ID, title: NO_AREA_TITLE }]) {
+    const matching = items.filter((pr) => (pr.areas[0] ?? NO_AREA_ID) === area.id);
+    if (matching.length) groups.push({ area, items: matching });
+  }
+  return groups;
+}
+
+export function renderRangeReportMarkdown(report, { areaConfig, sections, productName = "VS Code Insiders" }) {
+  const builds = new Map(report.builds.map((b) => [b.slug, b]));
+  const areaTitles = new Map((areaConfig?.areas || []).map((a) => [a.id, a.title]));
+  const repoUrl = `https://github.com/${report.repo}`;
+  const lines = [];
+
+  lines.push(`# ${productName} changes: ${shortSha(report.fromSha)} → ${shortSha(report.toSha)}`);
+  lines.push("");
+  lines.push(
+    `${report.counts.builds} build${report.counts.builds === 1 ? "" : "s"} ` +
+    `(${report.fromVersion || "?"} → ${report.toVersion || "?"}), ` +
+    `${report.counts.pullRequests} PR${report.counts.pullRequests === 1 ? "" : "s"} · ` +
+    `[Compare](${report.compareUrl})`,
+  );
+  if (report.builds.some((b) => b.aiPending)) {
+    lines.push("");
+    lines.push("> Some builds in this range only have title-based explainers (AI summary pending).");
+  }
+  lines.push("");
+
+  lines.push("## Builds");
+  lines.push("");
+  for (const b of report.builds) {
+    lines.push(
+      `- ${formatUtc(b.committedAt)} · ${mdEscapeInline(b.version)} · ` +
+      `[${shortSha(b.buildSha)}](${repoUrl}/commit/${b.buildSha}) · ${b.pullRequests} PR${b.pullRequests === 1 ? "" : "s"}`,
+    );
+  }
+  lines.push("");
+
+  for (const section of sections) {
+    const items = report.pullRequests.filter((pr) => pr.change === section.label);
+    if (!items.length) continue;
+
+    lines.push(`## ${section.title} (${items.length})`);
+    lines.push("");
+    const groups = groupByArea(items, areaConfig);
+    // Without an area table every PR lands in "Other"; skip the redundant sub-heading.
+    const showAreas = groups.length > 1 || groups[0]?.area.id !== NO_AREA_ID;
+    for (const { area, items: groupItems } of groups) {
+      if (showAreas) {
+        lines.push(`### ${mdEscapeInline(area.title)}`);
+        lines.push("");
+      }
+      for (const pr of groupItems) {
+        const ref = pr.url ? `[#${pr.number}](${pr.url})` : `#${pr.number}`;
+        const first = builds.get(pr.firstBuild);
+        const landed = first ? `first in ${mdEscapeInline(first.version)} (${formatUtc(first.committedAt)})` : `first in ${pr.firstBuild}`;
+        const alsoIn = pr.areas.slice(1).map((id) => areaTitles.get(id) || id);
+        const also = alsoIn.length ? ` · also ${alsoIn.map(mdEscapeInline).join(", ")}` : "";
+        lines.push(`- ${ref} **${mdEscapeEmphasis(pr.title) || "(untitled change)"}** — ${landed}${also}`);
+        if (pr.explainer) lines.push(`  > ${mdEscapeEmphasis(pr.explainer)}`);
+      }
+      lines.push("");
+    }
+  }
+
+  if (!report.pullRequests.length) {
+    lines.push("No PRs in this range.");
+    lines.push("");
+  }
+
+  return lines.join("\n").trimEnd() + "\n";
+}
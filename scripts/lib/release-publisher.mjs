@@ -0,0 +1,120 @@
+// GitHub Release publishing for a generated build.
+//
+// - `buildReleaseBody()` composes the final release body: build page URL, commit / previous /
+//   compare links, version, then the release notes.
+// - `validateReleaseBody()` checks that every required link is present (run before publishing).
+// - `publishRelease()` creates the release for a tag, or updates the existing one (name, body and
+//   assets), so re-running a build refreshes its release instead of skipping it.
+//
+// All calls go through the GitHub client with a configurable API base, so publishing can be
+// exercised against a local stand-in server.
+
+const DEFAULT_API_BASE = "https://api.github.com";
+
+function releaseLinks({ pageUrl, upstreamRepo, buildSha, previousSha }) {
+  const upstream = `https://github.com/${upstreamRepo}`;
+  return {
+    pageUrl,
+    commitUrl: `${upstream}/commit/${buildSha}`,
+    previousUrl: `${upstream}/commit/${previousSha}`,
+    compareUrl: `${upstream}/compare/${previousSha}...${buildSha}`,
+  };
+}
+
+export function buildReleaseBody({ pageUrl, upstreamRepo, buildSha, previousSha, version, notes }) {
+  const links = releaseLinks({ pageUrl, upstreamRepo, buildSha, previousSha });
+  return [
+    `Build page: ${links.pageUrl}`,
+    "",
+    `Commit: ${links.commitUrl} · Previous: ${links.previousUrl} · Compare: ${links.compareUrl}`,
+    `Version: ${version}`,
+    "",
+    String(notes || "").trim(),
+  ].join("\n").trimEnd() + "\n";
+}
+
+// Returns a list of problems (empty when the body is publishable).
+export function validateReleaseBody(body, { pageUrl, upstreamRepo, buildSha, previousSha, version }) {
+  const text = String(body || "");
+  const links = releaseLinks({ pageUrl, upstreamRepo, buildSha, previousSha });
+  const problems = [];
+
+  if (!pageUrl || !/^https?:\/\//.test(pageUrl)) problems.push(`build page URL is not absolute: '${pageUrl}'`);
+  if (!/^[0-9a-f]{40}$/i.test(String(buildSha || ""))) problems.push(`build SHA is not a full SHA: '${buildSha}'`);
+  if (!/^[0-9a-f]{40}$/i.test(String(previousSha || ""))) problems.push(`previous SHA is not a full SHA: '${previousSha}'`);
+
+  const required = [
+    ["build page URL", `Build page: ${links.pageUrl}`],
+    ["commit URL", links.commitUrl],
+    ["previous build URL", links.previousUrl],
+    ["compare URL", links.compareUrl],
+    ["version", `Version: ${version}`],
+  ];
+  for (const [name, expected] of required) {
+    if (!text.includes(expected)) problems.push(`missing ${name} (${expected})`);
+  }
+  return problems;
+}
+
+function uploadUrl(release, name) {
+  // GitHub returns an RFC 6570 template: https://uploads.github.com/repos/o/r/releases/1/assets{?name,label}
+  const base = String(release?.upload_url || "").replace(/\{.*\}$/, "");
+  if (!base) throw new Error(`Release ${release?.id} has no upload_url.`);
+  return `${base}?name=${encodeURIComponent(name)}`;
+}
+
+async function getReleaseByTag(client, { apiBase, repo, tag }) {
+  try {
+    return await client.request(`${apiBase}/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+  } catch (err) {
+    if (err?.status === 404) return null;
+    throw err;
+  }
+}
+
+// `assets` is [{ name, content, contentType }]. Existing assets with the same name are replaced.
+// Returns { action: "created" | "updated", id, url, assets: [names] }.
+export async function publishRelease({
+  client,
+  apiBase = DEFAULT_API_BASE,
+  repo,
+  tag,
+  title,
+  body,
+  target,
+  assets = [],
+}) {
+  if (!repo) throw new Error("Release repo is required (owner/name).");
+  if (!tag) throw new Error("Release tag is required.");
+  const base = String(apiBase).replace(/\/+$/, "");
+
+  let release = await getReleaseByTag(client, { apiBase: base, repo, tag });
+  const action = release ? "updated" : "created";
+  if (release) {
+    // The tag (and what it points at) stays as first published; only the content is refreshed.
+    release = await client.request(`${base}/repos/${repo}/releases/${release.id}`, {
+      method: "PATCH",
+      body: { name: title, body },
+    });
+  } else {
+    release = await client.request(`${base}/repos/${repo}/releases`, {
+      method: "POST",
+      body: { tag_name: tag, target_commitish: target || undefined, name: title, body },
+    });
+  }
+
+  const existing = new Map((release.assets || []).map((a) => [a.name, a]));
+  for (const asset of assets) {
+    const previous = existing.get(asset.name);
+    if (previous) {
+      await client.request(`${base}/repos/${repo}/releases/assets/${previous.id}`, { method: "DELETE" });
+    }
+    await client.request(uploadUrl(release, asset.name), {
+      method: "POST",
+      body: String(asset.content ?? ""),
+      headers: { "Content-Type": asset.contentType || "application/octet-stream" },
+    });
+  }
+
+  return { action, id: release.id, url: release.html_url || null, assets: assets.map((a) => a.name) };
+}
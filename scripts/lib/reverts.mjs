@@ -0,0 +1,93 @@
+// Revert detection for merged PRs.
+//
+// A PR is a revert when:
+// - its title follows GitHub's revert button convention, `Revert "<original title>"`, or reads
+//   `Revert #123`;
+// - its body, or the message of a commit it merged, has git's `This reverts commit <sha>.` line;
+// - its body points back at the original PR: `Reverts owner/repo#123` (GitHub's revert PR body),
+//   `Reverts #123` or a PR URL.
+//
+// Commits pushed without a PR (a build's `otherCommits`) are checked the same way, on their full
+// commit message.
+//
+// Build records keep `revert: { title, numbers, shas }` on the reverting PR or commit. `numbers`
+// are the original PRs when known (SHAs are resolved to PRs when the build is generated);
+// otherwise the original is found by title among the stored builds. Older PR records without the
+// field are still recognized by title.
+
+const QUOTED_TITLE_RE = /^Revert\s+"(.+)"\s*$/s;
+const NUMBER_TITLE_RE = /^Revert(?:\s+PR)?\s+#(\d+)\b/i;
+const REVERTS_COMMIT_RE = /This reverts commit ([0-9a-f]{7,40})/gi;
+const REVERTS_PR_RE = /\bReverts\s+(?:[\w.-]+\/[\w.-]+)?#(\d+)\b/gi;
+const REVERTS_URL_RE = /\bReverts\s+https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/pull\/(\d+)\b/gi;
+
+function matchAll(re, text) {
+  return Array.from(String(text || "").matchAll(re), (m) => m[1]);
+}
+
+// Returns { title, numbers, shas } for a revert PR, null otherwise. `messages` are the commit
+// messages of the PR (e.g. its squash commit).
+export function detectRevert({ number, title, body, messages = [] }) {
+  const text = [body, ...messages].filter(Boolean).join("\n");
+  const originalTitle = QUOTED_TITLE_RE.exec(String(title || "").trim())?.[1] || null;
+  const numbers = new Set([
+    NUMBER_TITLE_RE.exec(String(title || "").trim())?.[1],
+    ...matchAll(REVERTS_PR_RE, text),
+    ...matchAll(REVERTS_URL_RE, text),
+  ].filter(Boolean).map(Number));
+  numbers.delete(number);
+  const shas = Array.from(new Set(matchAll(REVERTS_COMMIT_RE, text).map((s) => s.toLowerCase())));
+
+  if (!originalTitle && !numbers.size && !shas.length) return null;
+  return { title: originalTitle, numbers: Array.from(numbers).sort((a, b) => a - b), shas };
+}
+
+// The stored `revert` of a PR record, or one derived from its title (records from before
+// revert detection).
+export function revertOf(pr) {
+  return pr?.revert || detectRevert({ number: pr?.number, title: pr?.title });
+}
+
+// Squash merges end their first line with `(#123)`; merge commits read `Merge pull request #123`.
+export function prNumberFromCommitMessage(message) {
+  const firstLine = String(message || "").split("\n")[0];
+  const m = /\(#(\d+)\)\s*$/.exec(firstLine) || /^Merge pull request #(\d+)\b/.exec(firstLine);
+  return m ? Number(m[1]) : null;
+}
+
+// `records` newest first (as read from data/builds/). Returns:
+// - reverted: original PR number -> { number, sha, url, slug, originalSlug } of the first revert
+//   (`number` is null and `sha` set when a commit without a PR reverted it)
+// - originals: revert PR number -> original PR numbers it was matched to
+export function buildRevertIndex(records) {
+  const reverted = new Map();
+  const originals = new Map();
+  // Latest PR per title, for reverts that only name the original's title.
+  const byTitle = new Map();
+  const slugByNumber = new Map();
+
+  const originalsOf = (revert) => (revert.numbers.length ? revert.numbers : [byTitle.get(revert.title)].filter(Boolean));
+  const markReverted = (n, by) => {
+    if (!reverted.has(n)) reverted.set(n, { ...by, originalSlug: slugByNumber.get(n) || null });
+  };
+
+  for (const record of [...(records || [])].reverse()) {
+    const prs = [...(record.pullRequests || [])].reverse();
+    for (const pr of prs) {
+      slugByNumber.set(pr.number, record.slug);
+      byTitle.set(pr.title, pr.number);
+    }
+    for (const pr of prs) {
+      const revert = revertOf(pr);
+      if (!revert) continue;
+      const matched = originalsOf(revert).filter((n) => n !== pr.number);
+      if (matched.length) originals.set(pr.number, matched);
+      for (const n of matched) markReverted(n, { number: pr.number, sha: null, url: pr.html_url || null, slug: record.slug });
+    }
+    for (const c of [...(record.otherCommits || [])].reverse()) {
+      if (!c.revert) continue;
+      for (const n of originalsOf(c.revert)) markReverted(n, { number: null, sha: c.sha, url: c.url || null, slug: record.slug });
+    }
+  }
+  return { reverted, originals };
+}
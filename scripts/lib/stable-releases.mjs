@@ -0,0 +1,151 @@
+// Which stable release shipped each Insiders build (data/stable-releases.json).
+//
+// Stable releases come from the stable commits feed; the version of each one is read from the
+// update service once and kept. An Insiders build is in a stable release when its commit is an
+// ancestor of the release commit (GitHub compare `<build>...<release>` is "ahead" or "identical").
+//
+// Insiders builds come off main in order, so the builds a release contains are always the oldest
+// ones: a binary search needs a handful of compares per release. Ancestry never changes, so every
+// answer is kept in `checks` and later runs only compare against new releases or new builds.
+//
+// Feed commits the update service has no version for yet are kept in `unknown` (SHA -> time of the
+// lookup) and asked again only after UNKNOWN_VERSION_TTL_MS, so they do not cost a call every run.
+//
+// A PR cherry-picked into a recovery release lands there as a different commit, so its build only
+// counts as shipped once a release that contains the build itself is out.
+
+import { readFile, writeFile } from "node:fs/promises";
+
+// New stable releases looked up per run (each costs an update service call).
+const MAX_NEW_RELEASES = 40;
+// A release commit can show up in the feed before the update service serves its version.
+const UNKNOWN_VERSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function minor(version) {
+  const m = /^(\d+)\.(\d+)\./.exec(String(version || ""));
+  return m ? [Number(m[1]), Number(m[2])] : null;
+}
+
+// Numeric `major.minor.patch` order; suffixes like `-insider` are ignored.
+export function compareVersions(a, b) {
+  const pa = String(a || "").split(/[.-]/).slice(0, 3).map(Number);
+  const pb = String(b || "").split(/[.-]/).slice(0, 3).map(Number);
+  for (let i = 0; i < 3; i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+function compareMinors(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+export async function readStableReleases(path) {
+  let raw;
+  try {
+    raw = await readFile(path, "utf8");
+  } catch {
+    return null;
+  }
+  const json = JSON.parse(raw);
+  return {
+    releases: Array.isArray(json?.releases) ? json.releases.filter((r) => r?.sha && r?.version) : [],
+    shipped: json?.shipped && typeof json.shipped === "object" ? json.shipped : {},
+    checks: json?.checks && typeof json.checks === "object" ? json.checks : {},
+    unknown: json?.unknown && typeof json.unknown === "object" ? json.unknown : {},
+  };
+}
+
+export async function writeStableReleases(path, data) {
+  // No file-level timestamp: runs that find nothing new leave the file (and git) untouched.
+  const sorted = (obj) => Object.fromEntries(Object.entries(obj || {}).sort(([a], [b]) => a.localeCompare(b)));
+  const json = { releases: data.releases, shipped: data.shipped, checks: sorted(data.checks), unknown: sorted(data.unknown) };
+  await writeFile(path, JSON.stringify(json, null, 2) + "\n", "utf8");
+}
+
+// `feed`: stable commit SHAs, newest first. `builds`: [{ sha, version, committedAt }] (any order).
+// `getVersion(sha)` returns a release's product version (null when unknown); `contains(buildSha,
+// releaseSha)` says whether the build is an ancestor of the release.
+// Returns { data, added, compares } where `data` is the updated file content.
+export async function updateStableReleases({ data, feed, builds, getVersion, contains, now = new Date() }) {
+  const releases = [...(data?.releases || [])];
+  const checks = { ...(data?.checks || {}) };
+  const known = new Set(releases.map((r) => r.sha));
+  // Only commits still in the feed are worth remembering.
+  const unknown = Object.fromEntries(Object.entries(data?.unknown || {}).filter(([sha]) => feed.includes(sha)));
+
+  // Releases older than the oldest stored build cannot tell us anything new.
+  const oldestMinor = builds.map((b) => minor(b.version)).filter(Boolean).sort(compareMinors)[0];
+  let added = 0;
+  for (const sha of feed) {
+    if (known.has(sha)) continue;
+    if (added >= MAX_NEW_RELEASES) break;
+    if (unknown[sha] && now.getTime() - new Date(unknown[sha]).getTime() < UNKNOWN_VERSION_TTL_MS) continue;
+    const version = await getVersion(sha);
+    if (!version) {
+      unknown[sha] = now.toISOString();
+      continue;
+    }
+    delete unknown[sha];
+    if (oldestMinor && minor(version) && compareMinors(minor(version), oldestMinor) < 0) break;
+    releases.push({ sha, version });
+    known.add(sha);
+    added++;
+  }
+  releases.sort((a, b) => compareVersions(b.version, a.version));
+
+  let compares = 0;
+  const isContained = async (buildSha, releaseSha) => {
+    const key = `${buildSha}...${releaseSha}`;
+    if (!(key in checks)) {
+      checks[key] = Boolean(await contains(buildSha, releaseSha));
+      compares++;
+    }
+    return checks[key];
+  };
+
+  // Oldest release first, so each build gets the first release that shipped it.
+  const ordered = [...builds].sort((a, b) => String(a.committedAt).localeCompare(String(b.committedAt)));
+  const shipped = {};
+  for (const release of [...releases].reverse()) {
+    const releaseMinor = minor(release.version);
+    const candidates = ordered.filter((b) => {
+      const m = minor(b.version);
+      return !m || !releaseMinor || compareMinors(m, releaseMinor) <= 0;
+    });
+
+    // Largest `lo` whose build is contained (-1: none).
+    let lo = -1;
+    let hi = candidates.length;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (await isContained(candidates[mid].sha, release.sha)) lo = mid;
+      else hi = mid;
+    }
+    for (const b of candidates.slice(0, lo + 1)) {
+      if (!shipped[b.sha]) shipped[b.sha] = { version: release.version, sha: release.sha };
+    }
+  }
+
+  return { data: { releases, shipped, checks, unknown }, added, compares };
+}
+
+// The stable release that first shipped `buildSha`, or null.
+export function shippedIn(data, buildSha) {
+  return data?.shipped?.[buildSha] || null;
+}
+
+export function releaseNotesUrl(version) {
+  const m = minor(version);
+  return m ? `https://code.visualstudio.com/updates/v${m[0]}_${m[1]}` : null;
+}
+
+// VitePress's built-in <Badge> for each version (all of one minor), plus a link to the official
+// release notes of that minor.
+export function renderShippedBadges(versions) {
+  if (!versions?.length) return "";
+  const badges = versions.map((v) => `<Badge type="tip" text="Shipped in stable ${v}" />`).join(" ");
+  const notes = releaseNotesUrl(versions[0]);
+  return `Stable: ${badges}${notes ? ` · [Release notes](${notes})` : ""}`;
+}
@@ -0,0 +1,102 @@
+// Per-version roll-up data: every PR from every build of one minor version (e.g. "1.109"), and the
+// model-written "highlights of this iteration" digest shown at the top of docs/versions/<minor>.md.
+//
+// The digest is built from the stored explainers only (no GitHub calls). It is saved to
+// data/versions/<minor>.json and regenerated when a new build of that version is processed, so
+// `--rerender` never calls a model.
+
+import { extractJsonObjectFromText } from "./explainer-providers.mjs";
+
+// Bump whenever the digest prompt changes in a way that should show up as a new digest.
+const DIGEST_PROMPT_VERSION = 1;
+// Large iterations have thousands of PRs; the prompt gets the most relevant ones.
+const MAX_DIGEST_PRS = 300;
+const MAX_HIGHLIGHTS = 6;
+const CHANGE_PRIORITY = ["add", "fix", "upgrade", "refactor"];
+
+export function minorVersion(version) {
+  const m = /^(\d+)\.(\d+)\./.exec(String(version || ""));
+  return m ? `${m[1]}.${m[2]}` : null;
+}
+
+// `records` newest-first (as read from data/builds/). Returns [{ pr, entry, slug }] with each PR
+// once, attributed to the oldest build it appeared in, newest build first.
+export function collectVersionPullRequests(records) {
+  const seen = new Map();
+  for (const record of [...records].reverse()) {
+    for (const pr of record.pullRequests || []) {
+      if (seen.has(pr.number)) continue;
+      seen.set(pr.number, { pr, entry: record.explainers?.[String(pr.number)] || null, slug: record.slug });
+    }
+  }
+  return Array.from(seen.values()).reverse();
+}
+
+function buildDigestPrompt({ minor, items }) {
+  const rank = (item) => {
+    const i = CHANGE_PRIORITY.indexOf(item.entry?.label);
+    return i === -1 ? CHANGE_PRIORITY.length : i;
+  };
+  const selected = [...items]
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, MAX_DIGEST_PRS)
+    .map(({ pr, entry }) => ({
+      number: pr.number,
+      title: pr.title,
+      label: entry?.label || "refactor",
+      explainer: entry?.explainer || "",
+      labels: pr.labels || [],
+    }));
+
+  return {
+    instructions:
+      "You summarize one VS Code Insiders iteration for developers who follow the daily builds. " +
+      "Given the merged PRs of that iteration (each with a change label and a short explainer), " +
+      `write at most ${MAX_HIGHLIGHTS} highlights of the iteration. ` +
+      "Output format: STRICT JSON object ONLY (no markdown, no code fences): { \"highlights\": [\"...\"] }. " +
+      "Rules: (1) Each highlight is one plain-English sentence under 200 characters, about a user-visible theme, not a single minor fix. " +
+      "(2) Prefer new features and notable fixes; group related PRs into one highlight. " +
+      "(3) Do not mention PR numbers, authors or @copilot. " +
+      "(4) Do not hallucinate: only use what the explainers and titles say.",
+    input: JSON.stringify({
+      version: minor,
+      totalPullRequests: items.length,
+      pullRequests: selected,
+    }),
+  };
+}
+
+function parseHighlights(raw) {
+  const json = extractJsonObjectFromText(raw);
+  const list = Array.isArray(json?.highlights) ? json.highlights : null;
+  if (!list) throw new Error("Digest response did not contain a 'highlights' array.");
+  const highlights = list
+    .map((h) => String(h || "").replaceAll("\r", "").replaceAll("\n", " ").trim())
+    .filter(Boolean)
+    .slice(0, MAX_HIGHLIGHTS);
+  if (!highlights.length) throw new Error("Digest response had no highlights.");
+  return highlights;
+}
+
+// `provider` must be an AI explainer provider (it needs `complete()`).
+export async function generateVersionDigest({ provider, minor, records }) {
+  if (typeof provider?.complete !== "function") {
+    throw new Error(`Explainer provider '${provider?.id}' cannot write version digests.`);
+  }
+
+  const items = collectVersionPullRequests(records);
+  if (!items.length) throw new Error(`No PRs stored for version ${minor}.`);
+
+  const highlights = parseHighlights(await provider.complete(buildDigestPrompt({ minor, items })));
+  return {
+    minor,
+    highlights,
+    provider: provider.id,
+    model: provider.model,
+    promptVersion: DIGEST_PROMPT_VERSION,
+    // Which builds the digest covers; the page notes when newer builds are not included yet.
+    builds: records.map((r) => r.slug),
+    pullRequests: items.length,
+    generatedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,132 @@
+// The GitHub client against a local stand-in server: ETag reuse, rate limit waits, retries and
+// the concurrency cap. Requests go to 127.0.0.1 (the client takes full URLs), nothing leaves the
+// machine.
+
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+
+import { createGitHubClient } from "../lib/github-client.mjs";
+
+// path -> (req, res, hit) => void; `hit` counts requests to that path, from 1.
+const routes = new Map();
+const hits = new Map();
+let inFlight = 0;
+let maxInFlight = 0;
+
+const server = createServer((req, res) => {
+  const path = new URL(req.url, "http://localhost").pathname;
+  hits.set(path, (hits.get(path) || 0) + 1);
+  inFlight++;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  res.on("close", () => inFlight--);
+  const route = routes.get(path);
+  if (route) return route(req, res, hits.get(path));
+  res.writeHead(404).end("{}");
+});
+
+let baseUrl;
+let cacheDir;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(body));
+}
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  if (cacheDir) await rm(cacheDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  routes.clear();
+  hits.clear();
+  maxInFlight = 0;
+  if (cacheDir) await rm(cacheDir, { recursive: true, force: true });
+  cacheDir = await mkdtemp(join(tmpdir(), "github-client-"));
+});
+
+test("a 304 reuses the cached body of an earlier ETag response", async () => {
+  routes.set("/repos/o/r", (req, res) => {
+    if (req.headers["if-none-match"] === '"v1"') return res.writeHead(304, { ETag: '"v1"' }).end();
+    sendJson(res, 200, { name: "r" }, { ETag: '"v1"' });
+  });
+
+  const first = createGitHubClient({ cacheDir });
+  assert.deepEqual(await first.json(`${baseUrl}/repos/o/r`), { name: "r" });
+  assert.equal(first.stats.cached, 0);
+
+  // A later run (new client, same cache directory) sends If-None-Match.
+  const second = createGitHubClient({ cacheDir });
+  assert.deepEqual(await second.json(`${baseUrl}/repos/o/r`), { name: "r" });
+  assert.equal(second.stats.cached, 1);
+  assert.equal(hits.get("/repos/o/r"), 2);
+});
+
+test("writes are never served from the cache", async () => {
+  routes.set("/repos/o/r/releases", (req, res, hit) => sendJson(res, 201, { id: hit }, { ETag: '"same"' }));
+
+  const client = createGitHubClient({ cacheDir });
+  assert.deepEqual(await client.request(`${baseUrl}/repos/o/r/releases`, { method: "POST", body: {} }), { id: 1 });
+  assert.deepEqual(await client.request(`${baseUrl}/repos/o/r/releases`, { method: "POST", body: {} }), { id: 2 });
+  assert.equal(client.stats.cached, 0);
+});
+
+test("a 403 with the rate limit spent waits for the reset and retries", async () => {
+  routes.set("/rate", (req, res, hit) => {
+    if (hit === 1) {
+      return sendJson(res, 403, { message: "API rate limit exceeded" }, {
+        "X-RateLimit-Limit": "60",
+        "X-RateLimit-Remaining": "0",
+        "X-RateLimit-Reset": String(Math.floor(Date.now() / 1000) + 1),
+      });
+    }
+    sendJson(res, 200, { ok: true }, { "X-RateLimit-Limit": "60", "X-RateLimit-Remaining": "59" });
+  });
+
+  const client = createGitHubClient({ cacheDir });
+  const started = Date.now();
+  assert.deepEqual(await client.json(`${baseUrl}/rate`), { ok: true });
+  assert.ok(Date.now() - started >= 1000, "waited for the reset");
+  assert.equal(client.stats.rateLimitWaits, 1);
+  assert.equal(client.stats.retried, 1);
+  assert.equal(client.rateLimit.remaining, 59);
+});
+
+test("a reset further away than the wait cap fails instead of sleeping", async () => {
+  routes.set("/rate", (req, res) =>
+    sendJson(res, 403, { message: "API rate limit exceeded" }, {
+      "X-RateLimit-Remaining": "0",
+      "X-RateLimit-Reset": String(Math.floor(Date.now() / 1000) + 3600),
+    }));
+
+  const client = createGitHubClient({ cacheDir, maxRateLimitWaitMs: 60 * 1000 });
+  await assert.rejects(client.json(`${baseUrl}/rate`), /rate limit exhausted/);
+  assert.equal(client.stats.rateLimitWaits, 0);
+});
+
+test("5xx responses are retried and other errors carry their status", async () => {
+  routes.set("/flaky", (req, res, hit) => (hit === 1 ? sendJson(res, 502, {}) : sendJson(res, 200, { ok: true })));
+  routes.set("/missing", (req, res) => sendJson(res, 404, { message: "Not Found" }));
+
+  const client = createGitHubClient({ cacheDir });
+  assert.deepEqual(await client.json(`${baseUrl}/flaky`), { ok: true });
+  assert.equal(client.stats.retried, 1);
+  await assert.rejects(client.json(`${baseUrl}/missing`), (err) => err.status === 404);
+});
+
+test("no more than `concurrency` requests are in flight", async () => {
+  routes.set("/slow", (req, res) => setTimeout(() => sendJson(res, 200, {}), 50));
+
+  const client = createGitHubClient({ cacheDir, concurrency: 2 });
+  await Promise.all(Array.from({ length: 6 }, (_, i) => client.json(`${baseUrl}/slow?page=${i}`)));
+  assert.equal(hits.get("/slow"), 6);
+  assert.equal(maxInFlight, 2);
+});
@@ -0,0 +1,72 @@
+// Record/replay round trip: a run recorded against a local server replays from the fixtures alone.
+
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import { configureHttp, getHttpMode, httpFetch } from "../lib/http.mjs";
+
+const dirs = [];
+
+after(async () => {
+  configureHttp();
+  for (const dir of dirs) await rm(dir, { recursive: true, force: true });
+});
+
+async function withServer(handler, fn) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("recorded responses replay without the server", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "http-fixtures-"));
+  dirs.push(dir);
+
+  const baseUrl = await withServer((req, res) => {
+    if (req.url === "/gone") return res.writeHead(304, { ETag: '"v1"' }).end();
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.writeHead(200, { "Content-Type": "application/json", "X-RateLimit-Remaining": "42" });
+      res.end(JSON.stringify({ method: req.method, url: req.url, body }));
+    });
+  }, async (url) => {
+    configureHttp({ record: dir });
+    await httpFetch(`${url}/repos/o/r`, { headers: { Authorization: "Bearer secret" } });
+    await httpFetch(`${url}/graphql`, { method: "POST", body: '{"query":"{ viewer { login } }"}' });
+    await httpFetch(`${url}/gone`);
+    assert.equal(getHttpMode().stats.recorded, 3);
+    return url;
+  });
+
+  const files = await readdir(dir);
+  assert.equal(files.length, 3);
+  for (const f of files) assert.doesNotMatch(await readFile(join(dir, f), "utf8"), /secret/);
+
+  // The server is closed: everything below comes from the fixtures.
+  configureHttp({ replay: dir });
+  const res = await httpFetch(`${baseUrl}/repos/o/r`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-ratelimit-remaining"), "42");
+  assert.deepEqual(await res.json(), { method: "GET", url: "/repos/o/r", body: "" });
+
+  const post = await httpFetch(`${baseUrl}/graphql`, { method: "POST", body: '{"query":"{ viewer { login } }"}' });
+  assert.equal((await post.json()).body, '{"query":"{ viewer { login } }"}');
+
+  assert.equal((await httpFetch(`${baseUrl}/gone`)).status, 304);
+  assert.equal(getHttpMode().stats.replayed, 3);
+
+  // Same URL, different body: a different request, and it was never recorded.
+  await assert.rejects(
+    httpFetch(`${baseUrl}/graphql`, { method: "POST", body: "{}" }),
+    /Replay: no recorded response for POST .*\/graphql/,
+  );
+});
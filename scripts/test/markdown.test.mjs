@@ -0,0 +1,47 @@
+// Text from GitHub and from the explainer providers must survive VitePress: the page markdown is
+// rendered to HTML and then compiled as a Vue template, where `<Tag>` is an element and `{{ }}` an
+// interpolation. Renders a change entry the way build, area and version pages write it.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createMarkdownRenderer } from "vitepress";
+import { compileTemplate } from "vue/compiler-sfc";
+
+import { mdEscapeEmphasis, mdEscapeInline } from "../lib/markdown.mjs";
+
+const DOCS_DIR = new URL("../../docs/", import.meta.url).pathname;
+
+async function renderPage(markdown) {
+  const md = await createMarkdownRenderer(DOCS_DIR);
+  const html = md.render(markdown);
+  const { errors } = compileTemplate({ source: html, filename: "page.md", id: "page" });
+  return { html, errors };
+}
+
+function changeEntry(title, explainer) {
+  return `- ✨ [#1](https://github.com/microsoft/vscode/pull/1) **${mdEscapeEmphasis(title)}**\n  > ${mdEscapeEmphasis(explainer)}\n`;
+}
+
+test("tags and interpolations in titles and explainers compile as text", async () => {
+  const title = "Add <Foo> to chat {{ 1 + 1 }}";
+  const { html, errors } = await renderPage(changeEntry(title, "Add <webview> support for {{ $attrs }}"));
+
+  assert.deepEqual(errors, []);
+  assert.match(html, /&lt;Foo&gt;/);
+  assert.match(html, /&lt;webview&gt;/);
+  assert.doesNotMatch(html, /\{\{/);
+});
+
+test("markdown syntax in titles stays literal", async () => {
+  const { html, errors } = await renderPage(changeEntry("Fix [chat](x) *and* `code` in __init__", "Plain text."));
+
+  assert.deepEqual(errors, []);
+  assert.doesNotMatch(html, /<a href="x"/);
+  assert.doesNotMatch(html, /<em>|<code>/);
+});
+
+test("inline text is folded onto one line", () => {
+  assert.equal(mdEscapeInline(" first\r\nsecond \n"), "first second");
+  assert.equal(mdEscapeEmphasis("a_b\nc"), "a\\_b c");
+});
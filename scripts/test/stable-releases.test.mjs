@@ -0,0 +1,37 @@
+// Stable release lookups: feed commits without a version yet are not asked again every run.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { updateStableReleases } from "../lib/stable-releases.mjs";
+
+test("commits without a version are re-checked only after a day", async () => {
+  const lookups = [];
+  const run = (data, now, feed = ["pending", "r1"]) => updateStableReleases({
+    data,
+    feed,
+    builds: [{ sha: "b1", version: "1.109.0-insider", committedAt: "2026-01-10T00:00:00Z" }],
+    getVersion: async (sha) => {
+      lookups.push(sha);
+      return sha === "r1" ? "1.109.0" : null;
+    },
+    contains: async () => true,
+    now: new Date(now),
+  });
+
+  let { data } = await run(null, "2026-02-01T00:00:00Z");
+  assert.deepEqual(lookups, ["pending", "r1"]);
+  assert.deepEqual(data.unknown, { pending: "2026-02-01T00:00:00.000Z" });
+  assert.deepEqual(data.shipped.b1, { version: "1.109.0", sha: "r1" });
+
+  ({ data } = await run(data, "2026-02-01T12:00:00Z"));
+  assert.deepEqual(lookups, ["pending", "r1"]);
+
+  ({ data } = await run(data, "2026-02-02T01:00:00Z"));
+  assert.deepEqual(lookups, ["pending", "r1", "pending"]);
+  assert.deepEqual(data.unknown, { pending: "2026-02-02T01:00:00.000Z" });
+
+  // Gone from the feed: forgotten.
+  ({ data } = await run(data, "2026-02-02T02:00:00Z", ["r1"]));
+  assert.deepEqual(data.unknown, {});
+});
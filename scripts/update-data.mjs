@@ -1,24 +1,109 @@
 #!/usr/bin/env node
 
 import "dotenv/config";
-import OpenAI from "openai";
-import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
-import { join } from "node:path";
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { createExplainerCache } from "./lib/explainer-cache.mjs";
+import { createExplainerProvider } from "./lib/explainer-providers.mjs";
+import { areasForLabels, loadAreaConfig } from "./lib/areas.mjs";
+import { commitsFeedUrl, getChannel, latestUpdateUrl } from "./lib/channels.mjs";
+import { buildFeedFiles } from "./lib/feeds.mjs";
+import { createGitHubClient } from "./lib/github-client.mjs";
+import { resolveClosingIssuesViaGraphql, resolvePullRequestsViaGraphql } from "./lib/github-graphql.mjs";
+import { configureHttp, getHttpMode, httpFetch, isReplaying } from "./lib/http.mjs";
+import { getCommitMetadata, getInstallerLinksForBuild, loadInstallerMatrix, renderInstallersMarkdown } from "./lib/installers.mjs";
+import { issueStub, linkedIssueNumbers, linkedIssuesForPrompt, renderLinkedIssuesMarkdown, toIssueRecord } from "./lib/linked-issues.mjs";
+import { ledgerEntry, markAvailable, markBuild, needsAiRetry, readLedger, syncLedger, writeLedger } from "./lib/ledger.mjs";
+import { mdEscapeEmphasis, mdEscapeInline } from "./lib/markdown.mjs";
+import { findOtherCommits, renderCoverageMarkdown, renderOtherCommitsMarkdown } from "./lib/other-commits.mjs";
+import { DEFAULT_MAX_ATTEMPTS, DEFAULT_MAX_BUILDS, planBuilds } from "./lib/planner.mjs";
+import { mapWithConcurrency } from "./lib/pool.mjs";
+import { buildRangeReport, renderRangeReportMarkdown } from "./lib/range-report.mjs";
+import { buildReleaseBody, publishRelease, validateReleaseBody } from "./lib/release-publisher.mjs";
+import { buildRevertIndex, detectRevert, prNumberFromCommitMessage, revertOf } from "./lib/reverts.mjs";
+import {
+  compareVersions,
+  readStableReleases,
+  renderShippedBadges,
+  shippedIn,
+  updateStableReleases,
+  writeStableReleases,
+} from "./lib/stable-releases.mjs";
+import { collectVersionPullRequests, generateVersionDigest, minorVersion } from "./lib/version-digest.mjs";
+
+// Release channel: insider (default), stable or exploration (see scripts/lib/channels.mjs).
+// Feed, versions, installer links, slugs, tags and every per-build path below follow it.
+const CHANNEL = getChannel(process.env.CHANNEL || "insider");
 
 const DATA_DIR = new URL("../data/", import.meta.url).pathname;
-const STATE_PATH = join(DATA_DIR, "insiders-state.json");
+const CHANNEL_DATA_DIR = join(DATA_DIR, CHANNEL.dataDir);
+const STATE_PATH = join(CHANNEL_DATA_DIR, CHANNEL.stateFile);
+// Status of every feed build since tracking started (see scripts/lib/ledger.mjs).
+const LEDGER_PATH = join(CHANNEL_DATA_DIR, "builds.json");
+// One canonical JSON record per build page. Pages can always be re-rendered from these.
+const BUILD_RECORDS_DIR = join(CHANNEL_DATA_DIR, "builds");
+// Repo-relative forms, for messages and the build workflow's metadata.
+const BUILD_RECORDS_REL = join("data", CHANNEL.dataDir, "builds");
+const BUILDS_REL = join("docs", CHANNEL.pagesDir);
+const BUILD_RECORD_SCHEMA_VERSION = 1;
+// Label -> feature area mapping table (see scripts/lib/areas.mjs).
+const AREAS_CONFIG_PATH = join(DATA_DIR, "areas.json");
+const INSTALLERS_CONFIG_PATH = join(DATA_DIR, "installers.json");
+const EXPLAINER_CACHE_DIR = join(DATA_DIR, "explainer-cache");
+// Stored "highlights" digests, one per minor version (see scripts/lib/version-digest.mjs).
+const VERSION_DIGESTS_DIR = join(DATA_DIR, "versions");
+// Which stable release shipped each Insiders build (`stable` command).
+const STABLE_RELEASES_PATH = join(DATA_DIR, "stable-releases.json");
 
 const DOCS_DIR = new URL("../docs/", import.meta.url).pathname;
-const BUILDS_DIR = join(DOCS_DIR, "builds");
+const BUILDS_DIR = join(DOCS_DIR, CHANNEL.pagesDir);
 const BUILDS_INDEX_PATH = join(BUILDS_DIR, "index.md");
 const HOME_PATH = join(DOCS_DIR, "index.md");
+const AREAS_DIR = join(DOCS_DIR, "areas");
+const AREAS_INDEX_PATH = join(AREAS_DIR, "index.md");
+const VERSIONS_DIR = join(DOCS_DIR, "versions");
+const VERSIONS_INDEX_PATH = join(VERSIONS_DIR, "index.md");
+// VitePress copies docs/public/ to the site root as-is (feeds live here, per channel).
+const PUBLIC_DIR = join(DOCS_DIR, "public");
+const CHANNEL_PUBLIC_DIR = join(PUBLIC_DIR, CHANNEL.publicDir);
+
+// Absolute URL of the published site, used for links inside feeds.
+const SITE_URL = process.env.SITE_URL || "https://doview.github.io/vscode-insiders-release-notes";
+// Client-side filter/search data for the theme's BuildFilters component.
+const SEARCH_INDEX_PATH = join(CHANNEL_PUBLIC_DIR, "search-index.json");
 
 const TARGET_REPO = process.env.TARGET_REPO || "microsoft/vscode";
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const GITHUB_CONCURRENCY = Number(process.env.GITHUB_CONCURRENCY) || 4;
+// How PRs for a build range are resolved: rest | graphql | compare (run both, report differences).
+const PR_SOURCE = process.env.PR_SOURCE || "rest";
+// ETag cache for conditional GitHub requests (git-ignored; restored via actions/cache in CI).
+const GITHUB_CACHE_DIR = join(new URL("../", import.meta.url).pathname, ".cache", "github");
+// `release`: where build releases are published (Actions sets GITHUB_REPOSITORY). The API base can
+// point at a local stand-in server for testing.
+const RELEASE_REPO = process.env.RELEASE_REPO || process.env.GITHUB_REPOSITORY;
+const RELEASE_API_BASE = process.env.RELEASE_API_BASE || "https://api.github.com";
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4.1-mini";
 
+// Explainer backend: openai | openai-compatible | heuristic (see scripts/lib/explainer-providers.mjs).
+const EXPLAINER_PROVIDER = process.env.EXPLAINER_PROVIDER || "openai";
+const EXPLAINER_FALLBACK_PROVIDER = process.env.EXPLAINER_FALLBACK_PROVIDER || "";
+const EXPLAINER_BASE_URL = process.env.EXPLAINER_BASE_URL;
+const EXPLAINER_API_KEY = process.env.EXPLAINER_API_KEY;
+const EXPLAINER_MODEL = process.env.EXPLAINER_MODEL;
+
+// Large builds are split into batches sized by an estimated prompt token budget.
+const EXPLAINER_BATCH_TOKENS = Number(process.env.EXPLAINER_BATCH_TOKENS) || 24000;
+const EXPLAINER_BATCH_MAX_PRS = Number(process.env.EXPLAINER_BATCH_MAX_PRS) || 40;
+const EXPLAINER_CONCURRENCY = Number(process.env.EXPLAINER_CONCURRENCY) || 3;
+const EXPLAINER_BATCH_ATTEMPTS = 3;
+// PRs beyond this count get title-based explainers (with a page banner) instead of model calls.
+const MAX_AI_PRS = Number(process.env.MAX_AI_PRS) || 400;
+// Builds with more commits than this are recorded as skipped-too-large instead of generated (--force overrides).
+const MAX_BUILD_COMMITS = Number(process.env.MAX_BUILD_COMMITS) || 2000;
+
 const OUT_DIR = join(new URL("../", import.meta.url).pathname, ".out");
 const OUT_RELEASE_NOTES_PATH = join(OUT_DIR, "release-notes.md");
 const OUT_BUILD_META_PATH = join(OUT_DIR, "build.json");
@@ -26,11 +111,22 @@ const OUT_INSTALLERS_JSON_PATH = join(OUT_DIR, "installers.json");
 const OUT_INSTALLERS_MD_PATH = join(OUT_DIR, "installers.md");
 const OUT_SYSTEM_PROMPT_PATH = join(OUT_DIR, "system-prompt.md");
 const OUT_USER_PROMPT_PATH = join(OUT_DIR, "user-prompt.md");
-
-const INSIDERS_COMMITS_FEED = "https://update.code.visualstudio.com/api/commits/insider";
-
-const INSIDERS_UPDATE_API_BASE = "https://update.code.visualstudio.com/api/update";
-const INSIDERS_LATEST_AVAILABLE_UPDATE_URL = "https://update.code.visualstudio.com/api/update/win32-x64-user/insider/latest";
+const OUT_BUILD_RECORD_PATH = join(OUT_DIR, "build-record.json");
+const OUT_RELEASE_NOTES_DIR = join(OUT_DIR, "release-notes");
+// Final GitHub Release body (links header + release notes), published by the `release` command.
+const OUT_RELEASE_BODY_PATH = join(OUT_DIR, "release-body.md");
+// Default output for `--from <sha> --to <sha>` range reports (JSON is written next to it).
+const OUT_REPORT_MD_PATH = join(OUT_DIR, "report.md");
+
+const COMMITS_FEED_URL = commitsFeedUrl(CHANNEL);
+// Generated build pages: YYYY-MM-DD_HH-mmZ_<version>_<sha7> (older one-off pages don't match).
+const BUILD_SLUG_RE = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}Z_/;
+// `plan`: how many unprocessed builds one poll may queue (older backlog waits for later polls).
+const PLAN_MAX_BUILDS = Number(process.env.PLAN_MAX_BUILDS) || DEFAULT_MAX_BUILDS;
+
+// "Latest available" checks and publish times use the same platform.
+const LATEST_UPDATE_PLATFORM = "win32-x64-user";
+const LATEST_AVAILABLE_UPDATE_URL = latestUpdateUrl(CHANNEL, LATEST_UPDATE_PLATFORM);
 
 function shortSha(sha) {
   return (sha || "").slice(0, 7);
@@ -49,20 +145,23 @@ function resolveShaPrefixOrThrow({ shas, input, label }) {
   if (matches.length > 1) {
     const sample = matches.slice(0, 8).map(shortSha).join(", ");
     throw new Error(
-      `${label} '${value}' is ambiguous (${matches.length} matches in insiders feed). ` +
+      `${label} '${value}' is ambiguous (${matches.length} matches in the ${CHANNEL.id} feed). ` +
       `Please provide a longer prefix. Matches include: ${sample}${matches.length > 8 ? ", ..." : ""}`,
     );
   }
 
   throw new Error(
-    `${label} '${value}' was not found in the insiders feed. ` +
-    `Make sure you're using a commit SHA from ${INSIDERS_COMMITS_FEED}.`,
+    `${label} '${value}' was not found in the ${CHANNEL.id} feed. ` +
+    `Make sure you're using a commit SHA from ${COMMITS_FEED_URL}.`,
   );
 }
 
 function parseArgs(argv) {
   const out = {};
-  for (let i = 2; i < argv.length; i++) {
+  // Optional subcommand first (`plan`, `gaps`, `release`, `stable`); everything else is flags.
+  let i = 2;
+  if (argv[i] && !argv[i].startsWith("--")) out.command = argv[i++];
+  for (; i < argv.length; i++) {
     const a = argv[i];
     if (a === "--build-sha") out.buildSha = argv[++i];
     else if (a === "--previous-sha") out.previousSha = argv[++i];
@@ -70,6 +169,24 @@ function parseArgs(argv) {
     else if (a === "--latest") out.latest = true;
     else if (a === "--preview") out.preview = true;
     else if (a === "--out") out.outPath = argv[++i];
+    else if (a === "--rerender") out.rerender = true;
+    else if (a === "--from") out.from = argv[++i];
+    else if (a === "--to") out.to = argv[++i];
+    else if (a === "--record") out.record = argv[++i];
+    else if (a === "--replay") out.replay = argv[++i];
+    else if (a === "--provider") out.provider = argv[++i];
+    else if (a === "--fallback-provider") out.fallbackProvider = argv[++i];
+    else if (a === "--no-cache") out.noCache = true;
+    else if (a === "--pr-source") out.prSource = argv[++i];
+    else if (a === "--graphql") out.prSource = "graphql";
+    else if (a === "--max-prs") out.maxPrs = Number(argv[++i]);
+    else if (a === "--refresh-pr") out.refreshPrs = [...(out.refreshPrs || []), Number(argv[++i])];
+    else if (a === "--max-builds") out.maxBuilds = Number(argv[++i]);
+    else if (a === "--explain") out.explain = true;
+    else if (a === "--json") out.json = true;
+    else if (a === "--target") out.target = argv[++i];
+    else if (a === "--release-repo") out.releaseRepo = argv[++i];
+    else if (a === "--api-base") out.apiBase = argv[++i];
   }
   return out;
 }
@@ -83,23 +200,14 @@ async function readJsonIfExists(path) {
   }
 }
 
-async function githubJson(url, extraHeaders = {}) {
-  const res = await fetch(url, {
-    headers: {
-      Accept: extraHeaders.Accept || "application/vnd.github+json",
-      ...(GITHUB_TOKEN ? { Authorization: `Bearer ${GITHUB_TOKEN}` } : {}),
-      "X-GitHub-Api-Version": "2022-11-28",
-      "User-Agent": "insiders-changes-site",
-      ...extraHeaders,
-    },
-  });
-
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`GitHub error ${res.status} ${res.statusText}: ${body}`);
-  }
+const github = createGitHubClient({
+  token: GITHUB_TOKEN,
+  cacheDir: GITHUB_CACHE_DIR,
+  concurrency: GITHUB_CONCURRENCY,
+});
 
-  return res.json();
+async function githubJson(url, extraHeaders = {}) {
+  return github.json(url, extraHeaders);
 }
 
 async function getRepoInfo(repo) {
@@ -111,8 +219,44 @@ async function getBranchHeadSha(repo, branch) {
   return data?.sha;
 }
 
-async function getCompare(repo, from, to) {
-  return githubJson(`https://api.github.com/repos/${repo}/compare/${from}...${to}`);
+async function getCompare(repo, from, to, { page = 1, perPage = 100 } = {}) {
+  return githubJson(`https://api.github.com/repos/${repo}/compare/${from}...${to}?per_page=${perPage}&page=${page}`);
+}
+
+async function getCompareWithAllCommits(repo, from, to) {
+  // A single compare response holds at most 250 commits, but the endpoint paginates its `commits`
+  // list. Keep paging until we have every commit GitHub says is in the range.
+  // https://docs.github.com/en/rest/commits/commits?apiVersion=2022-11-28#compare-two-commits
+  const MAX_COMPARE_PAGES = 50;
+  const perPage = 100;
+
+  const first = await getCompare(repo, from, to, { page: 1, perPage });
+  const totalCommits = typeof first?.total_commits === "number" ? first.total_commits : (first?.commits || []).length;
+
+  const seen = new Set();
+  const commits = [];
+  const addPage = (list) => {
+    let added = 0;
+    for (const c of list || []) {
+      if (!c?.sha || seen.has(c.sha)) continue;
+      seen.add(c.sha);
+      commits.push(c);
+      added++;
+    }
+    return added;
+  };
+  addPage(first?.commits);
+
+  let page = 1;
+  while (commits.length < totalCommits && page < MAX_COMPARE_PAGES) {
+    page++;
+    const next = await getCompare(repo, from, to, { page, perPage });
+    // An empty/duplicate page means GitHub won't give us more; stop rather than loop.
+    if (!addPage(next?.commits)) break;
+  }
+  if (page > 1) console.log(`Compare: fetched ${commits.length}/${totalCommits} commits across ${page} page(s).`);
+
+  return { compare: first, commits, totalCommits };
 }
 
 async function getCommit(repo, sha) {
@@ -121,7 +265,7 @@ async function getCommit(repo, sha) {
 
 async function getRepoFileJsonViaRaw(repo, sha, path) {
   const url = `https://raw.githubusercontent.com/${repo}/${sha}/${path}`;
-  const res = await fetch(url, { headers: { "User-Agent": "insiders-changes-site" } });
+  const res = await httpFetch(url, { headers: { "User-Agent": "insiders-changes-site" } });
   if (!res.ok) {
     const body = await res.text();
     throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}: ${body}`);
@@ -129,25 +273,47 @@ async function getRepoFileJsonViaRaw(repo, sha, path) {
   return res.json();
 }
 
-async function getInsidersBuildCommits() {
-  const res = await fetch(INSIDERS_COMMITS_FEED, { headers: { "User-Agent": "insiders-changes-site" } });
-  if (!res.ok) throw new Error(`Failed to fetch insiders commits feed: ${res.status} ${res.statusText}`);
+async function getChannelBuildCommits(channel = CHANNEL) {
+  const res = await httpFetch(commitsFeedUrl(channel), { headers: { "User-Agent": "insiders-changes-site" } });
+  if (!res.ok) throw new Error(`Failed to fetch ${channel.id} commits feed: ${res.status} ${res.statusText}`);
   const list = await res.json();
-  if (!Array.isArray(list) || !list.length) throw new Error("Insiders commits feed returned no commits.");
+  if (!Array.isArray(list) || !list.length) throw new Error(`${channel.name} commits feed returned no commits.`);
   return list;
 }
 
-async function getLatestAvailableInsidersBuildSha() {
-  const res = await fetch(INSIDERS_LATEST_AVAILABLE_UPDATE_URL, { headers: { "User-Agent": "insiders-changes-site" } });
+// Stable release annotations only apply to Insiders builds; null elsewhere or before the first
+// `stable` run.
+async function readStableShipping() {
+  return CHANNEL.id === "insider" ? readStableReleases(STABLE_RELEASES_PATH) : null;
+}
+
+async function getLatestAvailableBuildSha() {
+  const res = await httpFetch(LATEST_AVAILABLE_UPDATE_URL, { headers: { "User-Agent": "insiders-changes-site" } });
   if (!res.ok) {
-    throw new Error(`Failed to fetch latest available Insiders build: ${res.status} ${res.statusText}`);
+    throw new Error(`Failed to fetch latest available ${CHANNEL.name} build: ${res.status} ${res.statusText}`);
   }
   const json = await res.json();
   const sha = json?.version;
-  if (!sha || typeof sha !== "string") throw new Error("Latest available Insiders response missing 'version' SHA.");
+  if (!sha || typeof sha !== "string") throw new Error(`Latest available ${CHANNEL.name} response missing 'version' SHA.`);
   return sha;
 }
 
+// When the update service published the build (its `timestamp`), or null when it has no record of it.
+async function getBuildPublishedAt(buildSha) {
+  try {
+    const metadata = await getCommitMetadata({
+      buildSha,
+      platformId: LATEST_UPDATE_PLATFORM,
+      quality: CHANNEL.id,
+      fetchFn: httpFetch,
+    });
+    return Number.isFinite(metadata?.timestamp) ? new Date(metadata.timestamp).toISOString() : null;
+  } catch (err) {
+    console.warn(`Could not look up the publish time of ${shortSha(buildSha)}: ${String(err?.message || err)}`);
+    return null;
+  }
+}
+
 async function getPullsForCommit(repo, sha) {
   // https://docs.github.com/en/rest/commits/commits?apiVersion=2022-11-28#list-pull-requests-associated-with-a-commit
   return githubJson(
@@ -163,6 +329,11 @@ async function getPullRequest(repo, number) {
   return githubJson(`https://api.github.com/repos/${repo}/pulls/${number}`);
 }
 
+async function getIssue(repo, number) {
+  // Also answers for PR numbers (PRs are issues); those carry a `pull_request` field.
+  return githubJson(`https://api.github.com/repos/${repo}/issues/${number}`);
+}
+
 async function getIssueCommentsForPullRequest(repo, number) {
   // PRs are issues, so issue comments live on /issues/:number/comments
   // https://docs.github.com/en/rest/issues/comments?apiVersion=2022-11-28#list-issue-comments
@@ -234,102 +405,21 @@ function todayUtc() {
   return new Date().toISOString().slice(0, 10);
 }
 
-function mdEscapeInline(text) {
-  // Keep it simple: avoid accidentally breaking markdown links/lists.
-  return String(text || "").replaceAll("\r", "").trim();
-}
-
-function mdEscapeEmphasis(text) {
-  // Escape characters that commonly break bold/italic markdown.
-  return mdEscapeInline(text)
-    .replaceAll("\\", "\\\\")
-    .replaceAll("*", "\\*")
-    .replaceAll("_", "\\_")
-    .replaceAll("`", "\\`");
-}
-
-async function getInsidersInstallerLinksForBuild(buildSha) {
-  // Best-effort: this is just convenience links to official Microsoft-hosted binaries.
-  // We do NOT redistribute or upload these binaries into GitHub.
-  //
-  // IMPORTANT:
-  // The update service endpoint shape is:
-  //   /api/update/<platform>/<channel>/<currentVersion>
-  // When <currentVersion> is already the latest, the service can return 204 (No Content).
-  // We only need download links for the *current/latest* Insiders build, so we always
-  // query the explicit `/latest` endpoint to avoid 204s.
-  //
-  // `buildSha` is kept for backward compatibility (call-sites + artifacts include it),
-  // but it is not used for lookup.
-  const platforms = [
-    { id: "win32-x64-user", label: "Windows (User Setup, x64)" },
-    { id: "win32-x64", label: "Windows (System Setup, x64)" },
-    { id: "win32-arm64-user", label: "Windows (User Setup, ARM64)" },
-    { id: "win32-arm64", label: "Windows (System Setup, ARM64)" },
-    { id: "darwin", label: "macOS (Intel)" },
-    { id: "darwin-arm64", label: "macOS (Apple Silicon)" },
-    { id: "linux-x64", label: "Linux (tar.gz, x64)" },
-    { id: "linux-arm64", label: "Linux (tar.gz, ARM64)" },
-    { id: "linux-deb-x64", label: "Linux (deb, x64)" },
-    { id: "linux-deb-arm64", label: "Linux (deb, ARM64)" },
-    { id: "linux-rpm-x64", label: "Linux (rpm, x64)" },
-    { id: "linux-rpm-arm64", label: "Linux (rpm, ARM64)" },
-  ];
-
-  const results = [];
-  for (const p of platforms) {
-    const url = `${INSIDERS_UPDATE_API_BASE}/${p.id}/insider/latest`;
-    try {
-      const res = await fetch(url, { headers: { "User-Agent": "insiders-changes-site" } });
-      if (res.status === 204) {
-        // No update available. With /latest this shouldn't happen, but keep it robust.
-        results.push({ ...p, ok: false, status: res.status, url: null });
-        continue;
-      }
-      if (!res.ok) {
-        results.push({ ...p, ok: false, status: res.status, url: null });
-        continue;
-      }
-      const data = await res.json();
-      results.push({ ...p, ok: true, status: res.status, url: data?.url || null });
-    } catch (err) {
-      results.push({ ...p, ok: false, status: 0, url: null, error: String(err?.message || err) });
-    }
-  }
-
-  return results.filter((r) => r.ok && r.url);
-}
-
-function buildInstallersMarkdown(links) {
-  if (!Array.isArray(links) || links.length === 0) return "";
-
-  const lines = [];
-  lines.push("## Installers");
-  lines.push("");
-  lines.push("Official download links for the current (latest) VS Code Insiders build (may be newer than the build described above):");
-  lines.push("");
-  for (const l of links) {
-    lines.push(`- ${mdEscapeInline(l.label)}: ${l.url}`);
-  }
-  lines.push("");
-
-  return lines.join("\n");
-}
-
 async function rebuildBuildIndexes(repo) {
   await mkdir(BUILDS_DIR, { recursive: true });
 
   const files = (await readdir(BUILDS_DIR))
     .filter((f) => f.endsWith(".md") && f !== "index.md")
-    .filter((f) => f.includes("-insider"));
+    .filter((f) => BUILD_SLUG_RE.test(f));
   const sorted = files.sort((a, b) => b.localeCompare(a));
 
   // Group by minor version when filename contains something like: YYYY-MM-DD_HH-mmZ_1.109.0-insider_<sha>.md
+  // (stable builds have no suffix: ..._1.108.2_<sha>.md).
   const groups = new Map();
   for (const f of sorted) {
     const slug = f.replace(/\.md$/, "");
     const parts = slug.split("_");
-    const versionPart = parts.find((p) => /\d+\.\d+\.\d+-insider/.test(p)) || "other";
+    const versionPart = parts.find((p) => /^\d+\.\d+\.\d+/.test(p)) || "other";
     const minor = versionPart !== "other" ? versionPart.split(".").slice(0, 2).join(".") : "Other";
     if (!groups.has(minor)) groups.set(minor, []);
     groups.get(minor).push({ slug, version: versionPart });
@@ -350,7 +440,7 @@ async function rebuildBuildIndexes(repo) {
     }
   }
 
-  const buildsIndex = `# Builds\n\n${lines.join("\n").trim()}\n`;
+  const buildsIndex = `# ${CHANNEL.indexTitle}\n\n${lines.join("\n").trim()}\n`;
   await writeFile(BUILDS_INDEX_PATH, buildsIndex, "utf8");
 
   // Root page: redirect to Builds (this repo only really has one destination).
@@ -358,11 +448,304 @@ async function rebuildBuildIndexes(repo) {
   const home = `---\ntitle: Builds\n---\n\n<script setup>\nimport { onMounted } from 'vue'\nimport { withBase } from 'vitepress'\n\nonMounted(() => {\n  // Use a hard redirect so it works even when served as a static site.
   window.location.replace(withBase('/builds/'))\n})\n</script>\n\nRedirecting to **[Builds](./builds/)**...\n`;
   await writeFile(HOME_PATH, home, "utf8");
+
+  // Feeds and area pages are derived from the same set of builds, so keep them in lockstep with the index.
+  const records = await readBuildRecords();
+  await rebuildFeeds(records);
+  if (CHANNEL.rollUps) {
+    await rebuildAreaPages(records);
+    await rebuildVersionPages(records);
+  }
+  await rebuildSearchIndex(records);
 }
 
-function buildAiPrompt({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRequests }) {
-  // Keep it deterministic. Output should be machine-mergeable.
-  const prPayload = (pullRequests || []).map((pr) => ({
+async function rebuildSearchIndex(records) {
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+
+  const index = {
+    generatedAt: new Date().toISOString(),
+    changes: changeLabelSections().map(({ label, title }) => ({ id: label, title })),
+    areas: areaConfig.areas.map((a) => ({ id: a.id, title: a.title })),
+    // Newest first. SHAs let the "since my build" page resolve a pasted commit.
+    builds: records.map((r) => ({
+      slug: r.slug,
+      buildSha: r.buildSha,
+      previousSha: r.previousSha,
+      version: r.version,
+      committedAt: r.committedAt,
+      publishedAt: r.publishedAt || null,
+    })),
+    entries: [],
+  };
+
+  for (const record of records) {
+    for (const pr of record.pullRequests || []) {
+      const entry = normalizeExplainerEntry(record.explainers?.[String(pr.number)]);
+      index.entries.push({
+        slug: record.slug,
+        number: pr.number,
+        title: pr.title || "",
+        url: pr.html_url || null,
+        author: pr.author || null,
+        labels: prLabelNames(pr),
+        areas: areasForLabels(pr.labels, areaConfig),
+        change: entry.label,
+        explainer: entry.explainer,
+      });
+    }
+  }
+
+  await mkdir(CHANNEL_PUBLIC_DIR, { recursive: true });
+  await writeFile(SEARCH_INDEX_PATH, JSON.stringify(index) + "\n", "utf8");
+}
+
+async function rebuildAreaPages(records) {
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+  await mkdir(AREAS_DIR, { recursive: true });
+
+  // Generated directory: drop pages for areas that were removed from the table.
+  const keep = new Set([...areaConfig.areas.map((a) => `${a.id}.md`), "index.md"]);
+  for (const f of await readdir(AREAS_DIR)) {
+    if (f.endsWith(".md") && !keep.has(f)) await rm(join(AREAS_DIR, f));
+  }
+
+  const indexLines = [];
+  for (const area of areaConfig.areas) {
+    const lines = [];
+    let count = 0;
+
+    // Newest build first, grouped by build so the theme can localize the build times.
+    for (const record of records) {
+      const items = (record.pullRequests || []).filter((pr) => areasForLabels(pr.labels, areaConfig).includes(area.id));
+      if (!items.length) continue;
+      count += items.length;
+
+      lines.push(`## [${mdEscapeInline(buildLabelFromSlug(record.slug))}](../builds/${encodeURIComponent(record.slug)})`);
+      lines.push("");
+      for (const pr of items) {
+        const entry = normalizeExplainerEntry(record.explainers?.[String(pr.number)]);
+        const title = mdEscapeEmphasis(pr.title || "") || "(untitled change)";
+        const ref = pr.html_url ? `[#${pr.number}](${pr.html_url})` : `#${pr.number}`;
+        lines.push(`- ${labelToEmoji(entry.label)} ${ref} **${title}**`);
+        lines.push(`  > ${mdEscapeEmphasis(entry.explainer)}`);
+      }
+      lines.push("");
+    }
+
+    const body = lines.length
+      ? lines.join("\n").trim()
+      : "No PRs in this area yet.";
+    const page = `---\ntitle: "${mdEscapeInline(area.title)}"\n---\n\n# ${mdEscapeInline(area.title)}\n\n` +
+      `Every PR labeled for this area, newest build first.\n\n${body}\n`;
+    await writeFile(join(AREAS_DIR, `${area.id}.md`), page, "utf8");
+
+    indexLines.push(`- [${mdEscapeInline(area.title)}](./${area.id}) · ${count} PR${count === 1 ? "" : "s"}`);
+  }
+
+  const index = `# Areas\n\n` +
+    "PRs grouped by upstream feature area, based on their GitHub labels (mapping: `data/areas.json`).\n\n" +
+    `${indexLines.length ? indexLines.join("\n") : "No areas configured."}\n`;
+  await writeFile(AREAS_INDEX_PATH, index, "utf8");
+}
+
+function groupRecordsByMinor(records) {
+  // Newest version first; records keep their newest-first order within a version.
+  const groups = new Map();
+  for (const record of records) {
+    const minor = minorVersion(record.version);
+    if (!minor) continue;
+    if (!groups.has(minor)) groups.set(minor, []);
+    groups.get(minor).push(record);
+  }
+  return groups;
+}
+
+function buildVersionDigestMarkdown(digest, records) {
+  if (!digest?.highlights?.length) {
+    return "> Highlights for this version will appear once a model has summarized its builds.";
+  }
+
+  const lines = digest.highlights.map((h) => `- ${mdEscapeEmphasis(h)}`);
+  const covered = new Set(digest.builds || []);
+  const missing = records.filter((r) => !covered.has(r.slug)).length;
+  const scope = missing
+    ? `${records.length - missing} of ${records.length} builds; newer builds are not included yet`
+    : `${records.length} build${records.length === 1 ? "" : "s"}`;
+  lines.push("");
+  lines.push(`_Summarized by ${mdEscapeEmphasis(digest.model || digest.provider || "a model")} from the explainers of ${scope}._`);
+  return lines.join("\n");
+}
+
+function buildVersionStableMarkdown(records, stable) {
+  const versions = Array.from(new Set(records.map((r) => shippedIn(stable, r.buildSha)?.version).filter(Boolean)))
+    .sort(compareVersions);
+  return versions.length ? renderShippedBadges(versions) : "Stable: not in a stable release yet.";
+}
+
+// PRs from builds no stable release contains yet (only listed once part of the version has shipped).
+function buildNotInStableMarkdown(items, records, stable) {
+  if (!records.some((r) => shippedIn(stable, r.buildSha))) return "";
+  const pending = new Set(records.filter((r) => !shippedIn(stable, r.buildSha)).map((r) => r.slug));
+  const lines = ["## Not in stable yet", ""];
+  const rows = items.filter(({ slug }) => pending.has(slug));
+  if (!rows.length) {
+    lines.push("Every PR of this version is in a stable release.");
+    return lines.join("\n");
+  }
+  lines.push("Landed in Insiders, but no stable release contains their build yet.");
+  lines.push("");
+  for (const { pr, entry, slug } of rows) {
+    const title = mdEscapeEmphasis(pr.title || "") || "(untitled change)";
+    const ref = pr.html_url ? `[#${pr.number}](${pr.html_url})` : `#${pr.number}`;
+    const build = `[${mdEscapeInline(buildLabelFromSlug(slug))}](../builds/${encodeURIComponent(slug)})`;
+    lines.push(`- ${labelToEmoji(normalizeExplainerEntry(entry).label)} ${ref} **${title}** · ${build}`);
+  }
+  return lines.join("\n");
+}
+
+async function rebuildVersionPages(records) {
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+  const stable = await readStableShipping();
+  const reverts = buildRevertIndex(records);
+  const groups = groupRecordsByMinor(records);
+  await mkdir(VERSIONS_DIR, { recursive: true });
+
+  // Generated directory: drop pages for versions that no longer have stored builds.
+  const keep = new Set([...Array.from(groups.keys()).map((minor) => `${minor}.md`), "index.md"]);
+  for (const f of await readdir(VERSIONS_DIR)) {
+    if (f.endsWith(".md") && !keep.has(f)) await rm(join(VERSIONS_DIR, f));
+  }
+
+  const order = Array.from(groups.keys()).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+  const indexLines = [];
+  for (const minor of order) {
+    const versionRecords = groups.get(minor);
+    const items = collectVersionPullRequests(versionRecords);
+    const explainersByNumber = Object.fromEntries(items.map(({ pr, entry }) => [String(pr.number), entry]));
+    const digest = await readJsonIfExists(join(VERSION_DIGESTS_DIR, `${minor}.json`));
+
+    // Same buckets as the sections below: reverts are counted once, under their own row.
+    const buckets = items.map(({ pr, entry }) => changeBucket(pr, normalizeExplainerEntry(entry)));
+    const counts = [
+      ...changeLabelSections().map(({ label, title }) => ({ label, title })),
+      { label: "revert", title: "⏪ REVERTS" },
+    ].map(({ label, title }) => ({ title, count: buckets.filter((b) => b === label).length }));
+
+    const newest = versionRecords[0];
+    const oldest = versionRecords[versionRecords.length - 1];
+    const buildCount = `${versionRecords.length} build${versionRecords.length === 1 ? "" : "s"}`;
+    const prCount = `${items.length} PR${items.length === 1 ? "" : "s"}`;
+
+    const lines = [];
+    lines.push("---");
+    lines.push(`title: "${minor}"`);
+    lines.push("---");
+    lines.push("");
+    lines.push(`# VS Code ${minor} (Insiders)`);
+    lines.push("");
+    lines.push(`${buildCount} · ${prCount} · ${mdEscapeInline(buildLabelFromSlug(oldest.slug))} → ${mdEscapeInline(buildLabelFromSlug(newest.slug))}`);
+    lines.push("");
+    if (stable) {
+      lines.push(buildVersionStableMarkdown(versionRecords, stable));
+      lines.push("");
+    }
+    lines.push("## Highlights");
+    lines.push("");
+    lines.push(buildVersionDigestMarkdown(digest, versionRecords));
+    lines.push("");
+    lines.push("## Changes by type");
+    lines.push("");
+    lines.push("| Change | PRs |");
+    lines.push("| --- | ---: |");
+    for (const { title, count } of counts) lines.push(`| ${title} | ${count} |`);
+    lines.push("");
+    lines.push("## Builds");
+    lines.push("");
+    for (const record of versionRecords) {
+      const n = (record.pullRequests || []).length;
+      const release = shippedIn(stable, record.buildSha);
+      const shipped = release ? ` · stable ${mdEscapeInline(release.version)}` : "";
+      lines.push(`- [${mdEscapeInline(buildLabelFromSlug(record.slug))}](../builds/${encodeURIComponent(record.slug)}) · ${n} PR${n === 1 ? "" : "s"}${shipped}`);
+    }
+    lines.push("");
+    const notInStable = stable ? buildNotInStableMarkdown(items, versionRecords, stable) : "";
+    if (notInStable) {
+      lines.push(notInStable);
+      lines.push("");
+    }
+    lines.push(buildExplainersMarkdown({
+      pullRequests: items.map(({ pr }) => pr),
+      explainersByNumber,
+      areaConfig,
+      reverts,
+      buildHref: (slug) => `../builds/${encodeURIComponent(slug)}`,
+    }).trim());
+
+    await writeFile(join(VERSIONS_DIR, `${minor}.md`), lines.join("\n").trimEnd() + "\n", "utf8");
+    indexLines.push(`- [${minor}](./${minor}) · ${buildCount} · ${prCount}`);
+  }
+
+  const index = "# Versions\n\n" +
+    "Every PR of a minor version in one page, with a short summary of the iteration.\n\n" +
+    `${indexLines.length ? indexLines.join("\n") : "Version pages will appear here after the workflow generates the first build."}\n`;
+  await writeFile(VERSIONS_INDEX_PATH, index, "utf8");
+}
+
+async function refreshVersionDigest({ version, providerId }) {
+  const minor = minorVersion(version);
+  if (!minor) return;
+  const records = (await readBuildRecords()).filter((r) => minorVersion(r.version) === minor);
+  if (!records.length) return;
+
+  try {
+    const provider = resolveExplainerProvider(providerId);
+    if (!provider.isAi) {
+      console.log(`Version digest for ${minor} not updated: provider '${provider.id}' does not use a model.`);
+      return;
+    }
+    const digest = await generateVersionDigest({ provider, minor, records });
+    await mkdir(VERSION_DIGESTS_DIR, { recursive: true });
+    await writeFile(join(VERSION_DIGESTS_DIR, `${minor}.json`), JSON.stringify(digest, null, 2) + "\n", "utf8");
+    console.log(`Updated version digest: data/versions/${minor}.json (${digest.highlights.length} highlights)`);
+  } catch (err) {
+    // The digest is a nice-to-have: keep the previous one rather than failing the build.
+    console.warn(`Could not update the version digest for ${minor}: ${err?.message || err}`);
+  }
+}
+
+function changeLabelSections() {
+  // Feed sections mirror the page sections: "## ✨ NEW" -> { slug: "new", title: "✨ NEW" }.
+  return ["add", "fix", "refactor", "upgrade"].map((label) => {
+    const title = labelToSectionHeading(label).replace(/^#+\s*/, "");
+    const slug = title.split(/\s+/).pop().toLowerCase();
+    return { label, slug, title };
+  });
+}
+
+async function rebuildFeeds(records) {
+  const files = buildFeedFiles({
+    records,
+    siteUrl: SITE_URL,
+    siteTitle: CHANNEL.feedTitle,
+    sections: changeLabelSections(),
+    productName: CHANNEL.productName,
+    idPrefix: CHANNEL.feedIdPrefix,
+    pagesDir: CHANNEL.pagesDir,
+    publicDir: CHANNEL.publicDir,
+  });
+
+  for (const [relPath, content] of Object.entries(files)) {
+    const path = join(CHANNEL_PUBLIC_DIR, relPath);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content, "utf8");
+  }
+}
+
+// Bump whenever buildAiPrompt() changes in a way that should invalidate cached explainers.
+const EXPLAINER_PROMPT_VERSION = 1;
+
+function toPromptPullRequest(pr) {
+  return {
     number: pr.number,
     title: pr.title,
     url: pr.html_url,
@@ -371,7 +754,36 @@ function buildAiPrompt({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRe
     labels: Array.isArray(pr.labels) ? pr.labels.map((l) => l?.name).filter(Boolean) : [],
     body: pr.body ? String(pr.body).slice(0, 4000) : "",
     copilot_summaries: Array.isArray(pr.copilot_summaries) ? pr.copilot_summaries : [],
-  }));
+    linked_issues: linkedIssuesForPrompt(pr),
+  };
+}
+
+function estimatePromptTokens(pr) {
+  // Rough (~4 chars per token), but good enough to keep each request well inside the context window.
+  return Math.ceil(JSON.stringify(toPromptPullRequest(pr)).length / 4);
+}
+
+function planExplainerBatches(pullRequests, { tokenBudget, maxPrs }) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const pr of pullRequests || []) {
+    const t = estimatePromptTokens(pr);
+    if (current.length && (tokens + t > tokenBudget || current.length >= maxPrs)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(pr);
+    tokens += t;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+function buildAiPrompt({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRequests }) {
+  // Keep it deterministic. Output should be machine-mergeable.
+  const prPayload = (pullRequests || []).map(toPromptPullRequest);
 
   const input = {
     repo,
@@ -403,20 +815,6 @@ function buildAiPrompt({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRe
   };
 }
 
-function extractJsonObjectFromText(raw) {
-  const s = String(raw || "").trim();
-  if (!s) return null;
-  const first = s.indexOf("{");
-  const last = s.lastIndexOf("}");
-  if (first === -1 || last === -1 || last <= first) return null;
-  const slice = s.slice(first, last + 1);
-  try {
-    return JSON.parse(slice);
-  } catch {
-    return null;
-  }
-}
-
 function clampExplainer(text) {
   const t = String(text || "").replaceAll("\r", "").replaceAll("\n", " ").trim();
   if (!t) return "Internal maintenance/refactoring; no user-visible change expected.";
@@ -484,45 +882,95 @@ function labelToSectionHeading(label) {
   }
 }
 
-function buildExplainersMarkdown({ pullRequests, explainersByNumber }) {
+function buildAreaChipsMarkdown(areaIds, areaConfig) {
+  // Rendered inline after the PR title; links are relative to docs/builds/<slug>.md.
+  const byId = new Map((areaConfig?.areas || []).map((a) => [a.id, a]));
+  const links = (areaIds || [])
+    .filter((id) => byId.has(id))
+    .map((id) => `[${mdEscapeInline(byId.get(id).title)}](../areas/${id})`);
+  return links.length ? ` <span class="area-chips">${links.join(" ")}</span>` : "";
+}
+
+function pullRequestRef(number, url) {
+  return url ? `[#${number}](${url})` : `#${number}`;
+}
+
+// "⏪ reverts #123" on a revert PR; links to the originals when they are known.
+function buildRevertsMarkdown(pr, reverts) {
+  const revert = revertOf(pr);
+  const numbers = reverts?.originals.get(pr.number) || revert.numbers;
+  // Original PR URLs follow the revert's own URL (same repo).
+  const urlFor = (n) => (pr.html_url ? pr.html_url.replace(/\/pull\/\d+$/, `/pull/${n}`) : null);
+  const target = numbers.length
+    ? numbers.map((n) => pullRequestRef(n, urlFor(n))).join(", ")
+    : revert.title ? `“${mdEscapeEmphasis(revert.title)}”` : "an earlier change";
+  return ` ⏪ *reverts ${target}*`;
+}
+
+const CHANGE_BUCKETS = ["add", "fix", "refactor", "upgrade", "revert"];
+
+// The section a PR is listed under: the model's label, except that reverts are grouped regardless of it.
+function changeBucket(pr, entry) {
+  if (revertOf(pr)) return "revert";
+  return CHANGE_BUCKETS.includes(entry.label) ? entry.label : "refactor";
+}
+
+// The PR, or the commit pushed without a PR, that reverted a change (buildRevertIndex entry).
+function revertedByRef(revertedBy) {
+  if (revertedBy.number != null) return pullRequestRef(revertedBy.number, revertedBy.url);
+  const sha = `\`${shortSha(revertedBy.sha)}\``;
+  return revertedBy.url ? `[${sha}](${revertedBy.url})` : sha;
+}
+
+// `reverts` (buildRevertIndex) marks PRs reverted in a later build; `buildHref(slug)` links that
+// build. Revert PRs get their own section either way.
+
+function buildExplainersMarkdown({ pullRequests, explainersByNumber, areaConfig, reverts, buildHref }) {
   const prs = Array.isArray(pullRequests) ? pullRequests : [];
   if (!prs.length) return "";
 
-  const order = ["add", "fix", "refactor", "upgrade"];
+  const order = CHANGE_BUCKETS;
   const buckets = new Map(order.map((k) => [k, []]));
 
   const lines = [];
 
-  // Sort/group by the model's label choice.
   for (const pr of prs) {
     const n = pr?.number;
     const entryRaw = n != null ? explainersByNumber?.[String(n)] : null;
     const entry = normalizeExplainerEntry(entryRaw);
-    const key = buckets.has(entry.label) ? entry.label : "refactor";
-    buckets.get(key).push({ pr, entry });
+    buckets.get(changeBucket(pr, entry)).push({ pr, entry });
   }
 
   for (const k of order) {
     const items = buckets.get(k);
     if (!items || items.length === 0) continue;
 
-    lines.push(labelToSectionHeading(k));
+    lines.push(k === "revert" ? "## ⏪ REVERTS" : labelToSectionHeading(k));
     lines.push("");
 
     for (const { pr, entry } of items) {
       const n = pr?.number;
-      const title = mdEscapeEmphasis(pr?.title || "");
+      let title = `**${mdEscapeEmphasis(pr?.title || "") || "(untitled change)"}**`;
       const url = pr?.html_url;
 
-      if (n && url) {
-        lines.push(`- [#${n}](${url}) **${title || "(untitled change)"}**`);
-      } else if (n) {
-        lines.push(`- #${n} **${title || "(untitled change)"}**`);
+      // Area chips only make sense on site pages (release notes have no area pages to link to).
+      let chips = areaConfig ? buildAreaChipsMarkdown(areasForLabels(prLabelNames(pr), areaConfig), areaConfig) : "";
+      if (k === "revert") chips = `${buildRevertsMarkdown(pr, reverts)}${chips}`;
+
+      const revertedBy = n != null ? reverts?.reverted.get(n) : null;
+      if (revertedBy) {
+        title = `~~${title}~~`;
+        const where = buildHref ? ` in [${mdEscapeInline(buildLabelFromSlug(revertedBy.slug))}](${buildHref(revertedBy.slug)})` : "";
+        chips = ` ⏪ *reverted by ${revertedByRef(revertedBy)}${where}*${chips}`;
+      }
+
+      if (n) {
+        lines.push(`- ${pullRequestRef(n, url)} ${title}${chips}`);
       } else {
-        lines.push(`- **${title || "(untitled change)"}**`);
+        lines.push(`- ${title}${chips}`);
       }
       // Use a markdown quote instead of a nested list item.
-      lines.push(`  > ${entry.explainer}`);
+      lines.push(`  > ${mdEscapeEmphasis(entry.explainer)}`);
     }
 
     lines.push("");
@@ -531,90 +979,217 @@ function buildExplainersMarkdown({ pullRequests, explainersByNumber }) {
   return lines.join("\n").trimEnd() + "\n";
 }
 
-async function generateAiExplainers({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRequests }) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is required to generate explainers.");
-  }
-  if (!pullRequests?.length) {
-    throw new Error("No PRs found for this build range; refusing to generate empty explainers.");
-  }
+function resolveExplainerProvider(id) {
+  return createExplainerProvider(id, {
+    openaiApiKey: OPENAI_API_KEY,
+    openaiModel: OPENAI_MODEL,
+    // Replayed runs never reach OpenAI, so a key is not needed.
+    allowMissingKey: isReplaying(),
+    baseUrl: EXPLAINER_BASE_URL,
+    apiKey: EXPLAINER_API_KEY,
+    model: EXPLAINER_MODEL,
+  });
+}
 
-  const client = new OpenAI({ apiKey: OPENAI_API_KEY });
+async function runExplainerProvider(provider, { repo, defaultBranch, fromSha, toSha, compareUrl, pullRequests, promptName }) {
   const { instructions, input } = buildAiPrompt({ repo, defaultBranch, fromSha, toSha, compareUrl, pullRequests });
 
   // Debug artifacts: write the exact prompts we send to the API.
   // - `instructions` acts like a system/developer prompt (behavior)
-  // - `input` is the user payload (the PR details JSON)
+  // - `input` is the user payload (the PR details JSON); one file per batch when batched
+  const userPromptPath = promptName ? join(OUT_DIR, `user-prompt-${promptName}.md`) : OUT_USER_PROMPT_PATH;
   await writeFile(OUT_SYSTEM_PROMPT_PATH, String(instructions || "").trim() + "\n", "utf8");
   try {
     const pretty = JSON.stringify(JSON.parse(input), null, 2);
-    await writeFile(OUT_USER_PROMPT_PATH, pretty + "\n", "utf8");
+    await writeFile(userPromptPath, pretty + "\n", "utf8");
   } catch {
-    await writeFile(OUT_USER_PROMPT_PATH, String(input || "").trim() + "\n", "utf8");
+    await writeFile(userPromptPath, String(input || "").trim() + "\n", "utf8");
   }
 
-  const response = await client.responses.create({
-    model: OPENAI_MODEL,
-    instructions,
-    input,
+  return provider.generate({ instructions, input, pullRequests });
+}
+
+async function runExplainerBatch(provider, range, pullRequests, promptName) {
+  let lastErr;
+  for (let attempt = 1; attempt <= EXPLAINER_BATCH_ATTEMPTS; attempt++) {
+    try {
+      return await runExplainerProvider(provider, { ...range, pullRequests, promptName });
+    } catch (err) {
+      lastErr = err;
+      console.warn(
+        `Explainer batch ${promptName || "1"} (${pullRequests.length} PRs) failed ` +
+        `(attempt ${attempt}/${EXPLAINER_BATCH_ATTEMPTS}): ${err?.message || err}`,
+      );
+    }
+  }
+  throw lastErr;
+}
+
+async function generateBatchedExplainers(provider, range, pullRequests, onBatchDone) {
+  // Heuristic output is local and instant; only model calls need batching.
+  const batches = provider.isAi
+    ? planExplainerBatches(pullRequests, { tokenBudget: EXPLAINER_BATCH_TOKENS, maxPrs: EXPLAINER_BATCH_MAX_PRS })
+    : [pullRequests];
+  if (batches.length > 1) {
+    console.log(`Generating explainers in ${batches.length} batches (concurrency ${EXPLAINER_CONCURRENCY}).`);
+  }
+
+  await mapWithConcurrency(batches, EXPLAINER_CONCURRENCY, async (batch, i) => {
+    const name = batches.length > 1 ? String(i + 1) : null;
+    const out = { ...(await runExplainerBatch(provider, range, batch, name)) };
+
+    // Models occasionally drop entries from long lists. Retry just those PRs once.
+    const missing = batch.filter((pr) => out[String(pr.number)] == null);
+    if (missing.length && provider.isAi) {
+      console.warn(`Explainer batch ${name || "1"} is missing ${missing.length} PR(s); retrying them.`);
+      try {
+        Object.assign(out, await runExplainerBatch(provider, range, missing, `${name || "1"}-retry`));
+      } catch (err) {
+        console.warn(`Retry for missing PRs failed; they keep the default explainer: ${err?.message || err}`);
+      }
+    }
+
+    await onBatchDone(batch, out);
   });
+}
 
-  const raw = (response?.output_text || "").trim();
-  const json = extractJsonObjectFromText(raw);
-  if (!json || typeof json !== "object") throw new Error("OpenAI did not return a valid JSON object for explainers.");
+async function generateAiExplainers({
+  repo,
+  defaultBranch,
+  fromSha,
+  toSha,
+  compareUrl,
+  pullRequests,
+  providerId,
+  fallbackProviderId,
+  useCache = true,
+  refreshPrs = [],
+  maxAiPrs = MAX_AI_PRS,
+}) {
+  if (!pullRequests?.length) {
+    throw new Error("No PRs found for this build range; refusing to generate empty explainers.");
+  }
+
+  const range = { repo, defaultBranch, fromSha, toSha, compareUrl };
+  const explainersByNumber = {};
+
+  // Over the ceiling, the oldest PRs (list is sorted newest-first) get title-based explainers
+  // instead of failing the whole build. The page shows a banner when this happens.
+  const aiCandidates = pullRequests.slice(0, maxAiPrs);
+  const overflow = pullRequests.slice(maxAiPrs);
+  if (overflow.length) {
+    console.warn(`Build has ${pullRequests.length} PRs, above the AI limit of ${maxAiPrs}; ${overflow.length} PR(s) use title-based explainers.`);
+    Object.assign(explainersByNumber, await resolveExplainerProvider("heuristic").generate({ pullRequests: overflow }));
+  }
 
-  // Validate shape (best-effort): values should be objects with {label, explainer}.
-  // We keep backwards compatibility with older string-only values.
-  for (const [k, v] of Object.entries(json)) {
-    if (typeof v === "string") continue;
-    if (!v || typeof v !== "object") throw new Error(`Invalid explainer value for PR ${k}; expected object or string.`);
-    if (typeof v.explainer !== "string") throw new Error(`Invalid explainer for PR ${k}; expected string.`);
-    if (typeof v.label !== "string") throw new Error(`Invalid label for PR ${k}; expected string.`);
+  let pending = aiCandidates;
+  let provider;
+  let cacheStats = null;
+  // Non-AI output is a placeholder: the page says so and the planner retries the build.
+  let aiPending = false;
+
+  try {
+    provider = resolveExplainerProvider(providerId);
+    aiPending = !provider.isAi;
+
+    // Only AI output is worth caching; heuristic explainers are free and always marked pending.
+    const cache = provider.isAi
+      ? createExplainerCache({
+        dir: EXPLAINER_CACHE_DIR,
+        model: `${provider.id}:${provider.model}`,
+        promptVersion: EXPLAINER_PROMPT_VERSION,
+        enabled: useCache,
+        refreshPrs,
+      })
+      : null;
+
+    if (cache) {
+      const { hits, misses } = await cache.lookup(aiCandidates);
+      Object.assign(explainersByNumber, hits);
+      pending = misses;
+      cacheStats = cache.stats;
+    }
+
+    if (pending.length) {
+      await generateBatchedExplainers(provider, range, pending, async (batch, out) => {
+        Object.assign(explainersByNumber, out);
+        if (cache) await cache.store(batch, out);
+      });
+    }
+  } catch (err) {
+    if (!fallbackProviderId || fallbackProviderId === providerId) throw err;
+    console.warn(`Explainer provider '${providerId}' failed (${err?.message || err}); falling back to '${fallbackProviderId}'.`);
+    // Keep the cache hits and whatever batches did succeed; only the rest goes to the fallback, and
+    // only then is the page pending (a failure after the last batch leaves nothing to redo).
+    const remaining = pending.filter((pr) => explainersByNumber[String(pr.number)] == null);
+    if (remaining.length) {
+      const fallback = resolveExplainerProvider(fallbackProviderId);
+      Object.assign(explainersByNumber, await runExplainerProvider(fallback, { ...range, pullRequests: remaining }));
+      aiPending = aiPending || !fallback.isAi;
+      if (!provider || remaining.length === aiCandidates.length) provider = fallback;
+    }
   }
-  return json;
+
+  return {
+    explainersByNumber,
+    provider: { id: provider.id, model: provider.model },
+    aiPending,
+    cacheStats,
+    aiLimit: overflow.length ? { max: maxAiPrs, overflow: overflow.length } : null,
+  };
 }
 
+// Safety valve: PR ranges can be large, and fetching comments is extra API traffic.
+// We'll enrich only the first N PRs (most recently merged after sorting) by default.
+// Both PR sources apply the same limit so their output stays comparable.
+const MAX_PRS_WITH_COMMENT_ENRICHMENT = 40;
+
 async function collectMergedPullRequestsForRange({ repo, commits }) {
   const prNumbers = new Set();
 
-  for (const c of commits) {
+  const pullsByCommit = await mapWithConcurrency(commits, GITHUB_CONCURRENCY, async (c) => {
     const sha = c?.sha;
-    if (!sha) continue;
+    if (!sha) return [];
     try {
-      const pulls = await getPullsForCommit(repo, sha);
-      for (const pr of pulls || []) {
-        if (typeof pr?.number === "number") prNumbers.add(pr.number);
-      }
+      return await getPullsForCommit(repo, sha);
     } catch (err) {
       // Best-effort: if this endpoint is unavailable/rate-limited, don't fail the whole run.
       console.warn(`Failed to resolve PRs for commit ${shortSha(sha)}: ${err?.message || err}`);
+      return [];
     }
-  }
-
-  const prs = [];
-  // Safety valve: PR ranges can be large, and fetching comments is extra API traffic.
-  // We'll enrich only the first N PRs (most recently merged after sorting) by default.
-  const MAX_PRS_WITH_COMMENT_ENRICHMENT = 40;
+  });
+  // PR number -> the range's commits that belong to it (commits left over are listed as "Other commits").
+  const shasByPr = new Map();
+  pullsByCommit.forEach((pulls, i) => {
+    for (const pr of pulls || []) {
+      if (typeof pr?.number !== "number") continue;
+      prNumbers.add(pr.number);
+      if (!shasByPr.has(pr.number)) shasByPr.set(pr.number, []);
+      shasByPr.get(pr.number).push(commits[i].sha);
+    }
+  });
 
-  for (const n of prNumbers) {
+  const fetched = await mapWithConcurrency(prNumbers, GITHUB_CONCURRENCY, async (n) => {
     try {
       const pr = await getPullRequest(repo, n);
-      if (!pr?.merged_at) continue;
+      if (!pr?.merged_at) return null;
 
       // Best-effort: enrich PR with @copilot summaries (or copilot-bot authored comments).
       // If GitHub rate limits, we still want the build to proceed.
       pr.copilot_summaries = [];
-
-      prs.push(pr);
+      pr.commit_shas = shasByPr.get(n) || [];
+      return pr;
     } catch (err) {
       console.warn(`Failed to fetch PR #${n}: ${err?.message || err}`);
+      return null;
     }
-  }
+  });
+  const prs = fetched.filter(Boolean);
 
   prs.sort((a, b) => String(b.merged_at || "").localeCompare(String(a.merged_at || "")));
 
   // Enrich the newest PRs first (these are also the most likely to have recent @copilot summaries).
-  for (const pr of prs.slice(0, MAX_PRS_WITH_COMMENT_ENRICHMENT)) {
+  await mapWithConcurrency(prs.slice(0, MAX_PRS_WITH_COMMENT_ENRICHMENT), GITHUB_CONCURRENCY, async (pr) => {
     try {
       // Best-effort: pull both issue comments and PR reviews. Copilot summaries show up in either.
       const [comments, reviews] = await Promise.all([
@@ -629,11 +1204,162 @@ async function collectMergedPullRequestsForRange({ repo, commits }) {
       pr.copilot_summaries = [];
       console.warn(`Failed to fetch comments for PR #${pr.number}: ${err?.message || err}`);
     }
+  });
+
+  return prs;
+}
+
+async function collectMergedPullRequestsForRangeViaGraphql({ repo, commits }) {
+  const resolved = await resolvePullRequestsViaGraphql({ graphql: github.graphql, repo, commits });
+  resolved.sort((a, b) => String(b.pr.merged_at || "").localeCompare(String(a.pr.merged_at || "")));
+
+  return resolved.map(({ pr, comments, reviews }, i) => {
+    pr.copilot_summaries = i < MAX_PRS_WITH_COMMENT_ENRICHMENT
+      ? mergeCopilotSummaries({
+        commentSummaries: extractCopilotSummariesFromComments(comments),
+        reviewSummaries: extractCopilotSummariesFromReviews(reviews),
+      })
+      : [];
+    return pr;
+  });
+}
+
+function diffPullRequestSources(restPrs, graphqlPrs) {
+  const restNumbers = new Set(restPrs.map((pr) => pr.number));
+  const graphqlNumbers = new Set(graphqlPrs.map((pr) => pr.number));
+  const onlyRest = [...restNumbers].filter((n) => !graphqlNumbers.has(n));
+  const onlyGraphql = [...graphqlNumbers].filter((n) => !restNumbers.has(n));
+
+  console.log(`PR sources: REST ${restNumbers.size} PR(s), GraphQL ${graphqlNumbers.size} PR(s).`);
+  if (onlyRest.length) console.warn(`Only in REST: ${onlyRest.map((n) => `#${n}`).join(", ")}`);
+  if (onlyGraphql.length) console.warn(`Only in GraphQL: ${onlyGraphql.map((n) => `#${n}`).join(", ")}`);
+
+  const graphqlByNumber = new Map(graphqlPrs.map((pr) => [pr.number, pr]));
+  for (const pr of restPrs) {
+    const other = graphqlByNumber.get(pr.number);
+    if (!other) continue;
+    const fields = [];
+    if (pr.title !== other.title) fields.push("title");
+    if (pr.merged_at !== other.merged_at) fields.push("merged_at");
+    if (pr?.user?.login !== other?.user?.login) fields.push("author");
+    if (prLabelNames(pr).sort().join(",") !== prLabelNames(other).sort().join(",")) fields.push("labels");
+    if (fields.length) console.warn(`PR #${pr.number} differs between sources: ${fields.join(", ")}`);
+  }
+}
+
+// Marks revert PRs (`pr.revert`) and resolves the commits they revert to PR numbers.
+async function annotateReverts({ repo, prs, commits }) {
+  const messagesByNumber = new Map();
+  for (const c of commits || []) {
+    const message = c?.commit?.message;
+    const n = prNumberFromCommitMessage(message);
+    if (!n) continue;
+    if (!messagesByNumber.has(n)) messagesByNumber.set(n, []);
+    messagesByNumber.get(n).push(message);
+  }
+
+  for (const pr of prs) {
+    const revert = detectRevert({
+      number: pr.number,
+      title: pr.title,
+      body: pr.body,
+      messages: messagesByNumber.get(pr.number) || [],
+    });
+    if (!revert) continue;
+    pr.revert = await resolveRevertedPulls({ repo, revert, self: pr.number });
+  }
+
+  const count = prs.filter((pr) => pr.revert).length;
+  if (count) console.log(`Reverts: ${count} PR(s) revert earlier changes.`);
+}
+
+// Same for commits pushed without a PR (`otherCommits` carry the revert detected on their message).
+async function annotateCommitReverts({ repo, otherCommits }) {
+  for (const c of otherCommits) {
+    if (c.revert) c.revert = await resolveRevertedPulls({ repo, revert: c.revert });
+  }
+
+  const count = otherCommits.filter((c) => c.revert).length;
+  if (count) console.log(`Reverts: ${count} commit(s) without a PR revert earlier changes.`);
+}
+
+// "This reverts commit <sha>": the reverted commit is normally the original PR's merge commit.
+async function resolveRevertedPulls({ repo, revert, self = null }) {
+  const numbers = new Set(revert.numbers);
+  for (const sha of revert.shas) {
+    try {
+      for (const p of await getPullsForCommit(repo, sha)) {
+        if (p?.merged_at && p.number !== self) numbers.add(p.number);
+      }
+    } catch (err) {
+      console.warn(`Failed to resolve PRs for reverted commit ${shortSha(sha)}: ${err?.message || err}`);
+    }
+  }
+  return { ...revert, numbers: Array.from(numbers).sort((a, b) => a - b) };
+}
+
+// Resolves the issues each PR closes (`pr.linked_issues`) from closing keywords in its body and
+// GitHub's closing-issue references, with each issue's title, labels and state.
+async function annotateLinkedIssues({ repo, prs }) {
+  // REST PRs have no closing references; with a token, GraphQL fills them in.
+  const missing = prs.filter((pr) => !Array.isArray(pr.closing_issues)).map((pr) => pr.number);
+  if (missing.length && GITHUB_TOKEN) {
+    try {
+      const refs = await resolveClosingIssuesViaGraphql({ graphql: github.graphql, repo, numbers: missing });
+      for (const pr of prs) {
+        if (refs.has(pr.number)) pr.closing_issues = refs.get(pr.number);
+      }
+    } catch (err) {
+      console.warn(`Failed to resolve closing issue references (using PR bodies only): ${err?.message || err}`);
+    }
+  }
+
+  const numbersByPr = new Map(prs.map((pr) => [pr.number, linkedIssueNumbers(pr, repo)]));
+  const numbers = Array.from(new Set(Array.from(numbersByPr.values()).flat()));
+  const issues = new Map();
+  await mapWithConcurrency(numbers, GITHUB_CONCURRENCY, async (n) => {
+    try {
+      const issue = await getIssue(repo, n);
+      // "Fixes #123" pointing at another PR.
+      if (issue?.pull_request) return;
+      issues.set(n, toIssueRecord(issue));
+    } catch (err) {
+      issues.set(n, issueStub(repo, n));
+      console.warn(`Failed to fetch issue #${n}: ${err?.message || err}`);
+    }
+  });
+
+  for (const pr of prs) {
+    pr.linked_issues = numbersByPr.get(pr.number).map((n) => issues.get(n)).filter(Boolean);
   }
+  if (issues.size) console.log(`Linked issues: ${issues.size} issue(s) fixed by this build's PRs.`);
+}
 
+async function collectPullRequests({ repo, commits, source }) {
+  const prs = await collectPullRequestsFromSource({ repo, commits, source });
+  await annotateReverts({ repo, prs, commits });
+  await annotateLinkedIssues({ repo, prs });
   return prs;
 }
 
+async function collectPullRequestsFromSource({ repo, commits, source }) {
+  switch (source) {
+    case "rest":
+      return collectMergedPullRequestsForRange({ repo, commits });
+    case "graphql":
+      return collectMergedPullRequestsForRangeViaGraphql({ repo, commits });
+    case "compare": {
+      // Run both paths on the same range and report differences; REST stays the source of truth.
+      const restPrs = await collectMergedPullRequestsForRange({ repo, commits });
+      const graphqlPrs = await collectMergedPullRequestsForRangeViaGraphql({ repo, commits });
+      diffPullRequestSources(restPrs, graphqlPrs);
+      return restPrs;
+    }
+    default:
+      throw new Error(`Unknown PR source '${source}'. Expected one of: rest, graphql, compare.`);
+  }
+}
+
 function formatUtcParts(iso) {
   const d = new Date(iso);
   const y = String(d.getUTCFullYear());
@@ -651,6 +1377,28 @@ function formatUtcTimeForUi(timePart) {
   return `${m[1]}:${m[2]}Z`;
 }
 
+function formatDelay(ms) {
+  // Example: 8040000 -> "2h 14m".
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${rest}m`;
+  return `${rest}m`;
+}
+
+function buildTimesMarkdown({ committedAt, publishedAt, publishedAtSource }) {
+  // <time> elements are rewritten to the reader's local time by the theme.
+  const time = (iso) => `<time datetime="${iso}">${formatUtcParts(iso).display}</time>`;
+  const committed = `Committed: ${time(committedAt)}`;
+  if (!publishedAt) return `${committed} · Published: unknown`;
+
+  const seen = publishedAtSource === "first-seen" ? " (first seen as available)" : "";
+  const delay = new Date(publishedAt).getTime() - new Date(committedAt).getTime();
+  return `${committed} · Published: ${time(publishedAt)}${seen} · Delay: ${formatDelay(delay)}`;
+}
+
 function buildLabelFromSlug(slug) {
   // Expected slug format:
   // YYYY-MM-DD_HH-mmZ_1.109.0-insider_7c62052
@@ -669,162 +1417,851 @@ function buildPageMarkdown({
   toSha,
   compareUrl,
   totalCommits,
-  commits,
+  commitCount,
   version,
   buildTitleUtc,
+  timesMd,
+  stableMd,
+  coverageMd,
+  aiPending,
+  aiLimit,
   installersMd,
   explainersMd,
+  otherCommitsMd,
+  issuesMd,
 }) {
   const title = mdEscapeInline(buildTitleUtc);
-  const warning = totalCommits > commits.length
-    ? `\n> ⚠️ GitHub compare returned ${commits.length} of ${totalCommits} commits for this range. This changelog may be incomplete.\n`
+  const warning = totalCommits > commitCount
+    ? `> ⚠️ Only ${commitCount} of ${totalCommits} commits in this range could be retrieved from GitHub. This changelog may be incomplete.`
+    : "";
+  const pendingNote = aiPending
+    ? "> ⏳ AI summary pending: the entries below are derived from PR titles and labels and will be replaced with AI-written explainers."
     : "";
 
+  const limitNote = aiLimit?.overflow
+    ? `> ⚠️ This build has more PRs than the AI summary limit (${aiLimit.max}). The ${aiLimit.overflow} oldest PR(s) show their PR title instead of an AI-written explainer.`
+    : "";
+
+  const header = [
+    `Commit: [${mdEscapeInline(shortSha(toSha))}](https://github.com/${repo}/commit/${toSha}) · Previous: [${mdEscapeInline(shortSha(fromSha))}](https://github.com/${repo}/commit/${fromSha}) · Compare: [GitHub](${compareUrl})`,
+    `Version: \`${mdEscapeInline(version)}\` · Branch: \`${mdEscapeInline(defaultBranch)}\` · Upstream: [${mdEscapeInline(repo)}](https://github.com/${repo})`,
+    timesMd,
+    stableMd,
+    coverageMd,
+  ].filter(Boolean).join("\n");
+
+  // Optional parts are left out entirely (not as empty lines), so pages only change when content does.
+  const blocks = [header, warning, pendingNote, limitNote, installersMd, explainersMd, otherCommitsMd, issuesMd]
+    .map((block) => (block || "").trim())
+    .filter(Boolean);
+
   return `---
 title: "${title}"
 ---
 
 # ${title}
 
-Commit: [${mdEscapeInline(shortSha(toSha))}](https://github.com/${repo}/commit/${toSha}) · Previous: [${mdEscapeInline(shortSha(fromSha))}](https://github.com/${repo}/commit/${fromSha}) · Compare: [GitHub](${compareUrl})
-Version: \`${mdEscapeInline(version)}\` · Branch: \`${mdEscapeInline(defaultBranch)}\` · Upstream: [${mdEscapeInline(repo)}](https://github.com/${repo})
-${warning}
-
-${(installersMd || "").trim()}
-
-${(explainersMd || "").trim()}
+${blocks.join("\n\n")}
 `;
 }
 
-async function main() {
-  await mkdir(DATA_DIR, { recursive: true });
-  await mkdir(BUILDS_DIR, { recursive: true });
-  await mkdir(OUT_DIR, { recursive: true });
+function prLabelNames(pr) {
+  // GitHub returns label objects; stored build records keep plain names.
+  const list = Array.isArray(pr?.labels) ? pr.labels : [];
+  return list.map((l) => (typeof l === "string" ? l : l?.name)).filter(Boolean);
+}
 
-  const args = parseArgs(process.argv);
-  const preview = Boolean(args.preview);
-  const requestedBuildSha = args.latest
-    ? await getLatestAvailableInsidersBuildSha()
-    : args.buildSha;
+function toPullRequestRecord(pr) {
+  // Keep only what the pages (and future re-renders) need. Field names follow the GitHub PR
+  // shape where possible so the same rendering helpers work for live and stored data.
+  return {
+    number: pr.number,
+    title: pr.title || "",
+    html_url: pr.html_url || null,
+    author: pr?.user?.login || pr?.author || null,
+    merged_at: pr.merged_at || null,
+    labels: prLabelNames(pr),
+    ...(pr.revert ? { revert: pr.revert } : {}),
+    ...(pr.linked_issues?.length ? { linked_issues: pr.linked_issues } : {}),
+  };
+}
 
-  if (!requestedBuildSha) {
-    throw new Error("Missing required --build-sha <sha> argument (or pass --latest).");
+function createBuildRecord({
+  repo,
+  defaultBranch,
+  buildSha,
+  previousSha,
+  version,
+  committedAt,
+  publishedAt,
+  publishedAtSource,
+  compareUrl,
+  totalCommits,
+  commitCount,
+  pullRequests,
+  otherCommits,
+  explainersByNumber,
+  explainerProvider,
+  aiPending,
+  aiLimit,
+  installers,
+}) {
+  const timeParts = formatUtcParts(committedAt);
+  const prs = (pullRequests || []).map(toPullRequestRecord);
+
+  // Store normalized explainers so re-rendering never depends on model output quirks.
+  const explainers = {};
+  for (const pr of prs) {
+    explainers[String(pr.number)] = normalizeExplainerEntry(explainersByNumber?.[String(pr.number)]);
   }
-  const force = Boolean(args.force);
 
-  const state = (await readJsonIfExists(STATE_PATH)) || { repo: TARGET_REPO };
+  return {
+    schemaVersion: BUILD_RECORD_SCHEMA_VERSION,
+    slug: `${timeParts.date}_${timeParts.time}_${version}_${shortSha(buildSha)}`,
+    repo,
+    defaultBranch,
+    buildSha,
+    previousSha,
+    version,
+    committedAt,
+    // When the build reached users: "update-service" (its timestamp) or "first-seen" (ledger).
+    publishedAt: publishedAt || null,
+    publishedAtSource: publishedAt ? publishedAtSource : null,
+    compare: { url: compareUrl, totalCommits, commitCount },
+    pullRequests: prs,
+    // Range commits not covered by any PR above.
+    otherCommits: otherCommits || [],
+    explainers,
+    provider: explainerProvider?.id || "openai",
+    model: explainerProvider?.model || OPENAI_MODEL,
+    aiPending: Boolean(aiPending),
+    aiLimit: aiLimit || null,
+    installers: installers || [],
+    generatedAt: new Date().toISOString(),
+  };
+}
 
-  const insidersCommits = await getInsidersBuildCommits();
-  const buildSha = resolveShaPrefixOrThrow({ shas: insidersCommits, input: requestedBuildSha, label: "Build SHA" });
-  const buildIndex = insidersCommits.indexOf(buildSha);
-  if (buildIndex === -1) throw new Error(`Internal error: resolved build SHA missing from feed: ${buildSha}`);
+function buildRecordPath(slug) {
+  return join(BUILD_RECORDS_DIR, `${slug}.json`);
+}
 
-  const requestedPreviousSha = args.previousSha || insidersCommits[buildIndex + 1];
-  if (!requestedPreviousSha) {
-    throw new Error(`No previous build SHA available for ${buildSha} (it may be the oldest in the feed).`);
+async function writeBuildRecord(record) {
+  await mkdir(BUILD_RECORDS_DIR, { recursive: true });
+  const path = buildRecordPath(record.slug);
+  await writeFile(path, JSON.stringify(record, null, 2) + "\n", "utf8");
+  return path;
+}
+
+async function listBuildPageSlugs() {
+  try {
+    return (await readdir(BUILDS_DIR))
+      .filter((f) => f.endsWith(".md") && f !== "index.md")
+      .map((f) => f.replace(/\.md$/, ""));
+  } catch {
+    return [];
   }
-  const previousSha = resolveShaPrefixOrThrow({ shas: insidersCommits, input: requestedPreviousSha, label: "Previous SHA" });
+}
 
-  const repoInfo = await getRepoInfo(TARGET_REPO);
-  const defaultBranch = repoInfo?.default_branch || "main";
+async function readBuildRecords() {
+  let files = [];
+  try {
+    files = (await readdir(BUILD_RECORDS_DIR)).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
 
-  // If we've already processed this build or a newer one, do nothing (unless forced).
-  // In --preview mode, we always generate output for local testing.
-  if (!preview && !force && state?.lastProcessedBuildSha) {
-    const lastIdx = insidersCommits.indexOf(state.lastProcessedBuildSha);
-    if (lastIdx !== -1 && lastIdx <= buildIndex) {
-      if (!preview) {
-        await rebuildBuildIndexes(TARGET_REPO);
-      }
-      console.log(`Build already processed (state at ${shortSha(state.lastProcessedBuildSha)}). Skipping ${shortSha(buildSha)}.`);
-      console.log("Tip: re-run with --force to regenerate the page for this build SHA.");
-      return;
+  const records = [];
+  for (const f of files.sort((a, b) => b.localeCompare(a))) {
+    const record = await readJsonIfExists(join(BUILD_RECORDS_DIR, f));
+    if (!record?.slug || !record?.buildSha) {
+      console.warn(`Skipping invalid build record: ${BUILD_RECORDS_REL}/${f}`);
+      continue;
     }
+    records.push(record);
   }
+  return records;
+}
+
+function buildReleaseMeta(record) {
+  const timeParts = formatUtcParts(record.committedAt);
+  return {
+    tag: `${CHANNEL.tagPrefix}/${record.version}/${timeParts.date.replaceAll("-", "")}-${timeParts.time.replaceAll("-", "")}/${shortSha(record.buildSha)}`,
+    title: `${CHANNEL.productName} ${record.version} — ${timeParts.display}`,
+  };
+}
+
+function renderBuildArtifacts(record, { areaConfig, stable, reverts } = {}) {
+  // Pure function of the stored record (plus area table, stable releases and the revert index of
+  // all stored builds): no network, no model calls.
+  const timeParts = formatUtcParts(record.committedAt);
+  const buildTitleUtc = `${timeParts.date} - ${formatUtcTimeForUi(timeParts.time)}`;
+
+  const explainersMd = buildExplainersMarkdown({
+    pullRequests: record.pullRequests,
+    explainersByNumber: record.explainers,
+    reverts,
+    buildHref: (slug) => `${SITE_URL}/${CHANNEL.pagesDir}/${encodeURIComponent(slug)}`,
+  });
+  const pageExplainersMd = buildExplainersMarkdown({
+    pullRequests: record.pullRequests,
+    explainersByNumber: record.explainers,
+    areaConfig,
+    reverts,
+    buildHref: (slug) => `../${CHANNEL.pagesDir}/${encodeURIComponent(slug)}`,
+  });
+  const installersMd = renderInstallersMarkdown(record.installers, {
+    buildSha: record.buildSha,
+    productName: CHANNEL.productName,
+  });
+
+  const pageMd = buildPageMarkdown({
+    repo: record.repo,
+    defaultBranch: record.defaultBranch,
+    fromSha: record.previousSha,
+    toSha: record.buildSha,
+    compareUrl: record.compare?.url,
+    totalCommits: record.compare?.totalCommits ?? 0,
+    commitCount: record.compare?.commitCount ?? 0,
+    version: record.version,
+    buildTitleUtc,
+    timesMd: buildTimesMarkdown(record),
+    stableMd: renderShippedBadges([shippedIn(stable, record.buildSha)?.version].filter(Boolean)),
+    coverageMd: renderCoverageMarkdown(record),
+    aiPending: record.aiPending,
+    aiLimit: record.aiLimit,
+    installersMd,
+    explainersMd: pageExplainersMd,
+    otherCommitsMd: renderOtherCommitsMarkdown(record.otherCommits),
+    issuesMd: renderLinkedIssuesMarkdown(record.pullRequests),
+  });
+
+  // We keep AI notes as the main body and append official installer links (as links, not binaries).
+  const releaseNotes = `${(explainersMd || "").trim()}\n\n${(installersMd || "").trim()}\n`.trim() + "\n";
 
+  return { pageMd, explainersMd, installersMd, releaseNotes };
+}
+
+// Fetches everything for one build (commit, version, compare, PRs, explainers, installers) and
+// returns its record plus the run details main() reports on. Writes nothing except prompt debug files.
+async function generateBuildRecord({
+  buildSha,
+  previousSha,
+  defaultBranch,
+  args,
+  withInstallers = true,
+  maxCommits = null,
+  firstAvailableAt = null,
+}) {
   const buildCommit = await getCommit(TARGET_REPO, buildSha);
   const buildIso = buildCommit?.commit?.committer?.date || buildCommit?.commit?.author?.date;
   if (!buildIso) throw new Error(`Unable to resolve commit date for build SHA ${buildSha}.`);
-  const timeParts = formatUtcParts(buildIso);
-  const buildTitleUtc = `${timeParts.date} - ${formatUtcTimeForUi(timeParts.time)}`;
 
   const pkg = await getRepoFileJsonViaRaw(TARGET_REPO, buildSha, "package.json");
   const baseVersion = pkg?.version;
   if (!baseVersion) throw new Error("Unable to resolve VS Code version from package.json at build SHA.");
-  const version = `${baseVersion}-insider`;
+  const version = `${baseVersion}${CHANNEL.versionSuffix}`;
 
-  const compare = await getCompare(TARGET_REPO, previousSha, buildSha);
-  const commits = compare?.commits || [];
-  const totalCommits = typeof compare?.total_commits === "number" ? compare.total_commits : commits.length;
+  const { compare, commits, totalCommits } = await getCompareWithAllCommits(TARGET_REPO, previousSha, buildSha);
   const compareUrl = compare?.html_url || `https://github.com/${TARGET_REPO}/compare/${previousSha}...${buildSha}`;
 
-  const pullRequests = await collectMergedPullRequestsForRange({ repo: TARGET_REPO, commits });
-  if (pullRequests.length > 100) {
-    throw new Error(`Too many PRs for this build (${pullRequests.length}). Refusing to generate; handle manually.`);
+  if (maxCommits && totalCommits > maxCommits) {
+    // Checked before any per-commit/per-PR calls: these ranges are what exhausts the API budget.
+    const err = new Error(
+      `Build ${shortSha(buildSha)} has ${totalCommits} commits since ${shortSha(previousSha)}, ` +
+      `above the limit of ${maxCommits} (MAX_BUILD_COMMITS).`,
+    );
+    err.code = "BUILD_TOO_LARGE";
+    err.totalCommits = totalCommits;
+    throw err;
   }
 
-  const explainersByNumber = await generateAiExplainers({
+  const pullRequests = await collectPullRequests({
+    repo: TARGET_REPO,
+    commits,
+    source: args.prSource || PR_SOURCE,
+  });
+  const otherCommits = findOtherCommits({ repo: TARGET_REPO, commits, pullRequests });
+  await annotateCommitReverts({ repo: TARGET_REPO, otherCommits });
+  if (otherCommits.length) console.log(`Other commits: ${otherCommits.length} commit(s) not part of any PR.`);
+
+  const { explainersByNumber, provider: explainerProvider, aiPending, cacheStats, aiLimit } = await generateAiExplainers({
     repo: TARGET_REPO,
     defaultBranch,
     fromSha: previousSha,
     toSha: buildSha,
     compareUrl,
     pullRequests,
+    providerId: args.provider || EXPLAINER_PROVIDER,
+    fallbackProviderId: args.fallbackProvider || EXPLAINER_FALLBACK_PROVIDER,
+    useCache: !args.noCache,
+    refreshPrs: args.refreshPrs || [],
+    maxAiPrs: args.maxPrs || MAX_AI_PRS,
   });
 
-  const explainersMd = buildExplainersMarkdown({ pullRequests, explainersByNumber });
-
-  const installers = await getInsidersInstallerLinksForBuild(buildSha);
-  const installersMd = buildInstallersMarkdown(installers);
+  // Range reports don't show installer links, so they skip the extra update API calls.
+  let installers = [];
+  if (withInstallers) {
+    const { platforms } = await loadInstallerMatrix(INSTALLERS_CONFIG_PATH);
+    const { links, warnings } = await getInstallerLinksForBuild({
+      buildSha,
+      platforms,
+      quality: CHANNEL.id,
+      fetchFn: httpFetch,
+    });
+    for (const w of warnings) console.warn(`Installer lookup: ${w}`);
+    installers = links;
+  }
 
-  const slug = `${timeParts.date}_${timeParts.time}_${version}_${shortSha(buildSha)}`;
+  const updateServiceAt = await getBuildPublishedAt(buildSha);
 
-  const md = buildPageMarkdown({
+  const record = createBuildRecord({
     repo: TARGET_REPO,
     defaultBranch,
-    fromSha: previousSha,
-    toSha: buildSha,
+    buildSha,
+    previousSha,
+    version,
+    committedAt: buildIso,
+    publishedAt: updateServiceAt || firstAvailableAt,
+    publishedAtSource: updateServiceAt ? "update-service" : "first-seen",
     compareUrl,
     totalCommits,
-    commits,
-    version,
-    buildTitleUtc,
-    installersMd,
-    explainersMd,
+    commitCount: commits.length,
+    pullRequests,
+    otherCommits,
+    explainersByNumber,
+    explainerProvider,
+    aiPending,
+    aiLimit,
+    installers,
   });
 
+  return { record, pullRequests, commits, totalCommits, compareUrl, explainerProvider, aiPending, cacheStats };
+}
+
+async function rerenderFromRecords() {
+  const records = await readBuildRecords();
+  if (!records.length) {
+    // Still refresh the generated indexes (build list, feeds, area pages).
+    console.log(`No build records found in ${BUILD_RECORDS_REL}/. Only rebuilding indexes.`);
+    await rebuildBuildIndexes(TARGET_REPO);
+    return;
+  }
+
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+  const stable = await readStableShipping();
+  const reverts = buildRevertIndex(records);
+  await mkdir(OUT_RELEASE_NOTES_DIR, { recursive: true });
+  for (const record of records) {
+    const { pageMd, releaseNotes } = renderBuildArtifacts(record, { areaConfig, stable, reverts });
+    await writeFile(join(BUILDS_DIR, `${record.slug}.md`), pageMd, "utf8");
+    await writeFile(join(OUT_RELEASE_NOTES_DIR, `${record.slug}.md`), releaseNotes, "utf8");
+  }
+
+  await rebuildBuildIndexes(TARGET_REPO);
+  console.log(`Re-rendered ${records.length} build page(s) from ${BUILD_RECORDS_REL}/.`);
+}
+
+// Pages generated with the heuristic fallback before the ledger tracked `aiPending` are only
+// marked in their build record; flag them in the ledger so they get their retries too.
+async function markAiPendingFromRecords(ledger) {
+  for (const record of await readBuildRecords()) {
+    const entry = ledgerEntry(ledger, record.buildSha);
+    if (record.aiPending && entry?.status === "generated" && !entry.aiPending) entry.aiPending = true;
+  }
+}
+
+async function runPlan(args) {
+  const state = (await readJsonIfExists(STATE_PATH)) || {};
+  const feed = await getChannelBuildCommits();
+  // Gate on what users can actually install (what shows up in the About dialog).
+  const availableSha = await getLatestAvailableBuildSha();
+
+  // Without a ledger the planner falls back to the legacy cursor. With one, pages on disk count as
+  // generated even if the ledger has not caught up with them (in-memory only; `plan` writes nothing).
+  const stored = await readLedger(LEDGER_PATH);
+  const ledger = stored ? syncLedger(stored, { feed, pageSlugs: await listBuildPageSlugs() }) : null;
+  if (ledger) await markAiPendingFromRecords(ledger);
+
+  const plan = planBuilds({
+    feed,
+    availableSha,
+    lastProcessedSha: state.lastProcessedBuildSha,
+    ledger,
+    maxBuilds: args.maxBuilds || PLAN_MAX_BUILDS,
+  });
+
+  // stdout carries only the JSON list so workflows can capture it; everything else goes to stderr.
+  for (const w of plan.warnings) console.warn(w);
+  console.error(`Found ${plan.builds.length} build(s) to process.`);
+  console.error(`Latest available build: ${plan.availableSha} (feed index ${plan.availableIndex}).`);
+
+  if (args.explain) {
+    // Runs of skipped entries with the same reason (e.g. the processed tail of the feed) get one line.
+    const runs = [];
+    for (const d of plan.decisions) {
+      const last = runs[runs.length - 1];
+      if (last && !d.selected && !last.selected && last.reason === d.reason) last.shas.push(d.sha);
+      else runs.push({ selected: d.selected, reason: d.reason, shas: [d.sha] });
+    }
+    for (const run of runs) {
+      const range = run.shas.length > 1
+        ? `${shortSha(run.shas[0])}..${shortSha(run.shas[run.shas.length - 1])} (${run.shas.length} builds)`
+        : shortSha(run.shas[0]);
+      console.error(`${run.selected ? "+" : "-"} ${range}  ${run.reason}`);
+    }
+  }
+
+  process.stdout.write(JSON.stringify(plan.builds) + "\n");
+}
+
+async function runRelease(args) {
+  const meta = await readJsonIfExists(OUT_BUILD_META_PATH);
+  if (!meta) {
+    console.log("No .out/build.json found (likely a redeploy / build already processed). Nothing to publish.");
+    return;
+  }
+
+  const repo = args.releaseRepo || RELEASE_REPO;
+  if (!repo) throw new Error("Missing release repo: pass --release-repo <owner/name> or set RELEASE_REPO.");
+
+  const body = await readFile(meta.bodyFile || OUT_RELEASE_BODY_PATH, "utf8");
+  const problems = validateReleaseBody(body, {
+    pageUrl: meta.pageUrl,
+    upstreamRepo: meta.repo || TARGET_REPO,
+    buildSha: meta.buildSha,
+    previousSha: meta.previousSha,
+    version: meta.version,
+  });
+  if (problems.length) throw new Error(`Release body for ${meta.tag} is invalid:\n- ${problems.join("\n- ")}`);
+
+  // Official installer links (as JSON/Markdown, NOT the binaries themselves).
+  const assets = [];
+  for (const [path, contentType] of [[OUT_INSTALLERS_JSON_PATH, "application/json"], [OUT_INSTALLERS_MD_PATH, "text/markdown"]]) {
+    try {
+      assets.push({ name: path.split("/").pop(), contentType, content: await readFile(path, "utf8") });
+    } catch {
+      // Optional: older runs may not have emitted it.
+    }
+  }
+
+  const result = await publishRelease({
+    client: github,
+    apiBase: args.apiBase || RELEASE_API_BASE,
+    repo,
+    tag: meta.tag,
+    title: meta.title,
+    body,
+    target: args.target,
+    assets,
+  });
+  console.log(`Release ${meta.tag} ${result.action}: ${result.url || `id ${result.id}`} (${result.assets.length} asset(s))`);
+}
+
+// `stable`: works out which stable release shipped each stored Insiders build, saves it to
+// data/stable-releases.json and re-renders the pages (build pages, version roll-ups) that show it.
+async function runStable() {
+  if (CHANNEL.id !== "insider") {
+    throw new Error(`The stable command annotates Insiders builds; it does not apply to the ${CHANNEL.id} channel.`);
+  }
+  const records = await readBuildRecords();
+  if (!records.length) {
+    console.log(`No build records found in ${BUILD_RECORDS_REL}/. Nothing to annotate.`);
+    return;
+  }
+
+  const data = await refreshStableShipping(records);
+  const shipped = records.filter((r) => shippedIn(data, r.buildSha)).length;
+  console.log(`${shipped} of ${records.length} build(s) shipped in stable.`);
+  await rerenderFromRecords();
+}
+
+// Looks up new stable releases and which of `records` they shipped, and writes
+// data/stable-releases.json. Cheap when nothing changed: every ancestry answer is kept in the file.
+async function refreshStableShipping(records) {
+  const stableChannel = getChannel("stable");
+  const feed = await getChannelBuildCommits(stableChannel);
+  const { data, added, compares } = await updateStableReleases({
+    data: await readStableReleases(STABLE_RELEASES_PATH),
+    feed,
+    builds: records.map((r) => ({ sha: r.buildSha, version: r.version, committedAt: r.committedAt })),
+    getVersion: async (sha) => {
+      const metadata = await getCommitMetadata({
+        buildSha: sha,
+        platformId: LATEST_UPDATE_PLATFORM,
+        quality: stableChannel.id,
+        fetchFn: httpFetch,
+      });
+      return metadata?.productVersion || null;
+    },
+    // "ahead": the release is the build plus later commits; "identical": the release is the build.
+    contains: async (buildSha, releaseSha) => {
+      const compare = await getCompare(TARGET_REPO, buildSha, releaseSha, { perPage: 1 });
+      return compare?.status === "ahead" || compare?.status === "identical";
+    },
+  });
+  await writeStableReleases(STABLE_RELEASES_PATH, data);
+  console.log(`Stable releases: ${data.releases.length} tracked (${added} new), ${compares} compare(s).`);
+  return data;
+}
+
+async function runGaps(args) {
+  const state = (await readJsonIfExists(STATE_PATH)) || {};
+  const feed = await getChannelBuildCommits();
+  const availableSha = await getLatestAvailableBuildSha();
+  const pageSlugs = await listBuildPageSlugs();
+
+  // In-memory sync only: `gaps` is read-only, and a missing ledger is derived from existing pages.
+  const ledger = syncLedger(await readLedger(LEDGER_PATH), {
+    feed,
+    pageSlugs,
+    fallbackSince: state.lastProcessedBuildSha,
+  });
+  const pageSha7s = new Set(pageSlugs.map((slug) => slug.split("_").pop()));
+
+  // Builds that are not installable yet are not gaps.
+  const availableIndex = Math.max(0, feed.indexOf(availableSha));
+  const sinceIndex = feed.indexOf(ledger.since);
+  const tracked = feed.slice(availableIndex, sinceIndex === -1 ? feed.length : sinceIndex + 1);
+
+  const gaps = tracked
+    .filter((sha) => !pageSha7s.has(shortSha(sha)))
+    .map((sha) => {
+      const entry = ledgerEntry(ledger, sha) || { sha, status: "pending" };
+      return {
+        sha,
+        status: entry.status === "generated" ? "page-missing" : entry.status,
+        attempts: entry.attempts || 0,
+        error: entry.error || null,
+        totalCommits: entry.totalCommits ?? null,
+        updatedAt: entry.updatedAt || null,
+      };
+    });
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify(gaps, null, 2) + "\n");
+    return;
+  }
+
+  console.log(`Feed builds without a page since ${shortSha(ledger.since)} (${tracked.length} tracked): ${gaps.length}`);
+  for (const g of gaps) {
+    let detail = "";
+    if (g.status === "failed") detail = ` (${g.attempts} attempt(s)): ${g.error || "unknown error"}`;
+    else if (g.status === "skipped-too-large") detail = ` (${g.totalCommits ?? "?"} commits)`;
+    else if (g.status === "page-missing") detail = ` (ledger says generated, but ${BUILDS_REL}/ has no page)`;
+    console.log(`  ${shortSha(g.sha)}  ${g.status}${detail}`);
+  }
+}
+
+async function runRangeReport(args) {
+  if (!args.from || !args.to) throw new Error("Range reports need both --from <sha> and --to <sha>.");
+
+  const feedCommits = await getChannelBuildCommits();
+  const fromSha = resolveShaPrefixOrThrow({ shas: feedCommits, input: args.from, label: "From SHA" });
+  const toSha = resolveShaPrefixOrThrow({ shas: feedCommits, input: args.to, label: "To SHA" });
+  // The feed is newest-first.
+  const fromIndex = feedCommits.indexOf(fromSha);
+  const toIndex = feedCommits.indexOf(toSha);
+  if (toIndex >= fromIndex) {
+    throw new Error(`--to (${shortSha(toSha)}) must be a newer build than --from (${shortSha(fromSha)}).`);
+  }
+
+  const storedByBuildSha = new Map();
+  for (const record of await readBuildRecords()) {
+    if (!storedByBuildSha.has(record.buildSha)) storedByBuildSha.set(record.buildSha, []);
+    storedByBuildSha.get(record.buildSha).push(record);
+  }
+
+  // Walk the feed from --to back to --from. A stored record is reused when its own range stays
+  // inside the report range (it may span several feed builds); anything else is generated.
+  const records = [];
+  const sources = {};
+  let defaultBranch = null;
+  for (let i = toIndex; i < fromIndex;) {
+    const buildSha = feedCommits[i];
+    const stored = (storedByBuildSha.get(buildSha) || [])
+      .map((record) => ({ record, previousIndex: feedCommits.indexOf(record.previousSha) }))
+      .filter(({ previousIndex }) => previousIndex > i && previousIndex <= fromIndex)
+      .sort((a, b) => a.previousIndex - b.previousIndex)[0];
+
+    if (stored) {
+      records.push(stored.record);
+      sources[stored.record.slug] = "record";
+      i = stored.previousIndex;
+      continue;
+    }
+
+    if (!defaultBranch) defaultBranch = (await getRepoInfo(TARGET_REPO))?.default_branch || "main";
+    const previousSha = feedCommits[i + 1];
+    console.log(`Generating ${shortSha(buildSha)} (previous ${shortSha(previousSha)}); no stored record covers it.`);
+    const { record } = await generateBuildRecord({
+      buildSha,
+      previousSha,
+      defaultBranch,
+      args,
+      withInstallers: false,
+    });
+    records.push(record);
+    sources[record.slug] = "generated";
+    i++;
+  }
+  records.reverse();
+
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+  const sections = changeLabelSections();
+  const report = buildRangeReport({ repo: TARGET_REPO, fromSha, toSha, records, sources, areaConfig, sections });
+  const md = renderRangeReportMarkdown(report, { areaConfig, sections, productName: CHANNEL.productName });
+
+  const mdPath = args.outPath ? String(args.outPath) : OUT_REPORT_MD_PATH;
+  const jsonPath = mdPath.replace(/\.md$/i, "") + ".json";
+  await mkdir(dirname(mdPath), { recursive: true });
+  await writeFile(mdPath, md, "utf8");
+  await writeFile(jsonPath, JSON.stringify(report, null, 2) + "\n", "utf8");
+
+  const generated = Object.values(sources).filter((s) => s === "generated").length;
+  console.log(
+    `Range report: ${records.length} build(s) (${records.length - generated} from ${BUILD_RECORDS_REL}/, ${generated} generated), ` +
+    `${report.counts.pullRequests} PR(s), ${report.counts.duplicates} duplicate(s) dropped.`,
+  );
+  console.log(`Wrote ${mdPath}`);
+  console.log(`Wrote ${jsonPath}`);
+  if (generated) console.log(github.summary());
+}
+
+async function main() {
+  await mkdir(DATA_DIR, { recursive: true });
+  await mkdir(BUILDS_DIR, { recursive: true });
+  await mkdir(OUT_DIR, { recursive: true });
+
+  const args = parseArgs(process.argv);
+  configureHttp({ record: args.record, replay: args.replay });
+
+  if (args.command === "plan") {
+    await runPlan(args);
+    return;
+  }
+  if (args.command === "gaps") {
+    await runGaps(args);
+    return;
+  }
+  if (args.command === "release") {
+    await runRelease(args);
+    return;
+  }
+  if (args.command === "stable") {
+    await runStable();
+    printHttpModeSummary();
+    return;
+  }
+  if (args.command) throw new Error(`Unknown command '${args.command}'. Available: plan, gaps, release, stable.`);
+
+  if (args.rerender) {
+    await rerenderFromRecords();
+    return;
+  }
+
+  if (args.from || args.to) {
+    await runRangeReport(args);
+    printHttpModeSummary();
+    return;
+  }
+
+  const preview = Boolean(args.preview);
+  // Also feeds the ledger's first-seen times, so a failed lookup only matters for --latest.
+  let availableSha = null;
+  if (args.latest) {
+    availableSha = await getLatestAvailableBuildSha();
+  } else if (!preview) {
+    availableSha = await getLatestAvailableBuildSha().catch((err) => {
+      console.warn(`Could not fetch the latest available build: ${String(err?.message || err)}`);
+      return null;
+    });
+  }
+  const requestedBuildSha = args.latest ? availableSha : args.buildSha;
+
+  if (!requestedBuildSha) {
+    throw new Error("Missing required --build-sha <sha> argument (or pass --latest).");
+  }
+  const force = Boolean(args.force);
+
+  const state = (await readJsonIfExists(STATE_PATH)) || { repo: TARGET_REPO };
+
+  const feedCommits = await getChannelBuildCommits();
+  const buildSha = resolveShaPrefixOrThrow({ shas: feedCommits, input: requestedBuildSha, label: "Build SHA" });
+  const buildIndex = feedCommits.indexOf(buildSha);
+  if (buildIndex === -1) throw new Error(`Internal error: resolved build SHA missing from feed: ${buildSha}`);
+
+  const requestedPreviousSha = args.previousSha || feedCommits[buildIndex + 1];
+  if (!requestedPreviousSha) {
+    throw new Error(`No previous build SHA available for ${buildSha} (it may be the oldest in the feed).`);
+  }
+  const previousSha = resolveShaPrefixOrThrow({ shas: feedCommits, input: requestedPreviousSha, label: "Previous SHA" });
+
+  // Preview runs are local experiments: they neither read nor update the ledger.
+  const ledger = preview
+    ? null
+    : syncLedger(await readLedger(LEDGER_PATH), {
+      feed: feedCommits,
+      pageSlugs: await listBuildPageSlugs(),
+      fallbackSince: state?.lastProcessedBuildSha,
+    });
+  if (ledger) {
+    await markAiPendingFromRecords(ledger);
+    // Runs are dispatched by the poll that noticed a new build, so this is close to when it
+    // became available (used as the publish time when the update service has none).
+    if (availableSha) markAvailable(ledger, availableSha);
+    await writeLedger(LEDGER_PATH, ledger);
+  }
+
+  // Skip builds that already have a page (unless forced). Older builds that never got one
+  // (capped backfill, failed or out-of-order runs) are generated like any other, and so are pages
+  // still waiting for their AI summary (up to the planner's attempt limit).
+  const entry = ledgerEntry(ledger, buildSha);
+  if (!preview && !force && entry?.status === "generated" && !needsAiRetry(entry, DEFAULT_MAX_ATTEMPTS)) {
+    await rebuildBuildIndexes(TARGET_REPO);
+    console.log(`Build already generated (${ledgerEntry(ledger, buildSha).slug || shortSha(buildSha)}). Skipping.`);
+    console.log("Tip: re-run with --force to regenerate the page for this build SHA.");
+    return;
+  }
+
+  let generated;
+  let defaultBranch;
+  try {
+    const repoInfo = await getRepoInfo(TARGET_REPO);
+    defaultBranch = repoInfo?.default_branch || "main";
+    generated = await generateBuildRecord({
+      buildSha,
+      previousSha,
+      defaultBranch,
+      args,
+      maxCommits: preview || force ? null : MAX_BUILD_COMMITS,
+      firstAvailableAt: ledgerEntry(ledger, buildSha)?.firstAvailableAt || null,
+    });
+  } catch (err) {
+    if (!ledger) throw err;
+    if (err?.code === "BUILD_TOO_LARGE") {
+      markBuild(ledger, buildSha, "skipped-too-large", { totalCommits: err.totalCommits });
+      await writeLedger(LEDGER_PATH, ledger);
+      console.warn(`${err.message} Recorded as skipped-too-large in ${join("data", CHANNEL.dataDir, "builds.json")}.`);
+      console.log("Tip: re-run with --force to generate it anyway.");
+      return;
+    }
+    markBuild(ledger, buildSha, "failed", { error: String(err?.message || err).slice(0, 500) });
+    await writeLedger(LEDGER_PATH, ledger);
+    throw err;
+  }
+
+  const {
+    record,
+    pullRequests,
+    commits,
+    totalCommits,
+    compareUrl,
+    explainerProvider,
+    aiPending,
+    cacheStats,
+  } = generated;
+  const { slug, version, installers } = record;
+  const areaConfig = await loadAreaConfig(AREAS_CONFIG_PATH);
+  // This build may revert PRs of stored builds (or, when regenerated, be reverted by a later one).
+  const otherRecords = (await readBuildRecords()).filter((r) => r.slug !== slug);
+
+  // Every Insiders run also checks for new stable releases, so "Shipped in stable" badges and
+  // "Not in stable yet" lists follow the stable channel without a separate job.
+  const storedStable = await readStableShipping();
+  let stable = storedStable;
+  if (!preview && CHANNEL.id === "insider") {
+    try {
+      stable = await refreshStableShipping([record, ...otherRecords]);
+    } catch (err) {
+      console.warn(`Could not refresh stable releases (keeping ${STABLE_RELEASES_PATH}): ${err?.message || err}`);
+    }
+  }
+  const reverts = buildRevertIndex([record, ...otherRecords].sort((a, b) => b.slug.localeCompare(a.slug)));
+  const { pageMd: md, installersMd, releaseNotes } = renderBuildArtifacts(record, { areaConfig, stable, reverts });
+
   const filename = `${slug}.md`;
   const pagePath = join(BUILDS_DIR, filename);
   const previewPath = args.outPath ? String(args.outPath) : join(OUT_DIR, "preview.md");
 
   if (preview) {
     await writeFile(previewPath, md, "utf8");
+    await writeFile(OUT_BUILD_RECORD_PATH, JSON.stringify(record, null, 2) + "\n", "utf8");
     console.log(`Wrote preview markdown: ${previewPath}`);
   } else {
+    await writeBuildRecord(record);
     await writeFile(pagePath, md, "utf8");
+    // Pages from the heuristic fallback stay eligible for a retry (see needsAiRetry).
+    const aiRetry = aiPending ? { aiPending: true, aiAttempts: (ledgerEntry(ledger, buildSha)?.aiAttempts || 0) + 1 } : {};
+    markBuild(ledger, buildSha, "generated", { slug, prCount: pullRequests.length, ...aiRetry });
+    await writeLedger(LEDGER_PATH, ledger);
+
+    // Earlier pages strike through the PRs this build reverts, and show the stable release that
+    // shipped them once there is one.
+    const revertedSlugs = new Set(
+      Array.from(reverts.reverted.values())
+        .filter((r) => r.slug === slug && r.originalSlug && r.originalSlug !== slug)
+        .map((r) => r.originalSlug),
+    );
+    const newlyShipped = new Set(
+      otherRecords
+        .filter((r) => shippedIn(stable, r.buildSha)?.version !== shippedIn(storedStable, r.buildSha)?.version)
+        .map((r) => r.slug),
+    );
+    for (const earlier of otherRecords.filter((r) => revertedSlugs.has(r.slug) || newlyShipped.has(r.slug))) {
+      const { pageMd } = renderBuildArtifacts(earlier, { areaConfig, stable, reverts });
+      await writeFile(join(BUILDS_DIR, `${earlier.slug}.md`), pageMd, "utf8");
+      if (revertedSlugs.has(earlier.slug)) console.log(`Marked reverted PR(s) on ${BUILDS_REL}/${earlier.slug}.md`);
+      if (newlyShipped.has(earlier.slug)) console.log(`Marked stable release on ${BUILDS_REL}/${earlier.slug}.md`);
+    }
   }
 
   // Emit workflow artifacts for creating a GitHub Release.
-  // We keep AI notes as the main body and append official installer links (as links, not binaries).
-  const releaseNotes = `${(explainersMd || "").trim()}\n\n${(installersMd || "").trim()}\n`.trim() + "\n";
   await writeFile(OUT_RELEASE_NOTES_PATH, releaseNotes, "utf8");
 
   // Also emit installer links as standalone artifacts that can be attached to the Release.
-  await writeFile(OUT_INSTALLERS_JSON_PATH, JSON.stringify({ buildSha, installers }, null, 2) + "\n", "utf8");
+  // `exact: false` links install the latest build instead (no download for this commit).
+  const installerCounts = {
+    exact: installers.filter((l) => l.exact).length,
+    fallback: installers.filter((l) => !l.exact).length,
+  };
+  await writeFile(
+    OUT_INSTALLERS_JSON_PATH,
+    JSON.stringify({ buildSha, ...installerCounts, installers }, null, 2) + "\n",
+    "utf8",
+  );
   await writeFile(OUT_INSTALLERS_MD_PATH, (installersMd || "").trim() + "\n", "utf8");
 
-  const tag = `insiders/${version}/${timeParts.date.replaceAll("-", "")}-${timeParts.time.replaceAll("-", "")}/${shortSha(buildSha)}`;
-  const releaseTitle = `VS Code Insiders ${version} — ${timeParts.display}`;
+  const { tag, title: releaseTitle } = buildReleaseMeta(record);
+
+  const pageUrl = `${SITE_URL}/${CHANNEL.pagesDir}/${encodeURIComponent(slug)}`;
+  const releaseBody = buildReleaseBody({
+    pageUrl,
+    upstreamRepo: TARGET_REPO,
+    buildSha,
+    previousSha,
+    version,
+    notes: releaseNotes,
+  });
+  const releaseProblems = validateReleaseBody(releaseBody, { pageUrl, upstreamRepo: TARGET_REPO, buildSha, previousSha, version });
+  if (releaseProblems.length) {
+    throw new Error(`Generated release body is invalid:\n- ${releaseProblems.join("\n- ")}`);
+  }
+  await writeFile(OUT_RELEASE_BODY_PATH, releaseBody, "utf8");
 
   const meta = {
     tag,
     title: releaseTitle,
+    repo: TARGET_REPO,
     buildSha,
     previousSha,
     version,
     slug,
+    pageUrl,
     notesFile: OUT_RELEASE_NOTES_PATH,
-    pageFile: preview ? null : `docs/builds/${filename}`,
+    bodyFile: OUT_RELEASE_BODY_PATH,
+    channel: CHANNEL.id,
+    pageFile: preview ? null : `${BUILDS_REL}/${filename}`,
+    recordFile: preview ? null : `${BUILD_RECORDS_REL}/${slug}.json`,
   };
   await writeFile(OUT_BUILD_META_PATH, JSON.stringify(meta, null, 2) + "\n", "utf8");
 
@@ -832,7 +2269,7 @@ async function main() {
     // When force-rebuilding an older build, do NOT move the state backwards.
     let nextLastProcessedBuildSha = buildSha;
     if (state?.lastProcessedBuildSha) {
-      const lastIdx = insidersCommits.indexOf(state.lastProcessedBuildSha);
+      const lastIdx = feedCommits.indexOf(state.lastProcessedBuildSha);
       if (lastIdx !== -1 && lastIdx < buildIndex) {
         // lastIdx smaller => state SHA is newer than the one we're processing.
         nextLastProcessedBuildSha = state.lastProcessedBuildSha;
@@ -848,15 +2285,37 @@ async function main() {
     };
     await writeFile(STATE_PATH, JSON.stringify(nextState, null, 2) + "\n", "utf8");
 
+    if (CHANNEL.rollUps) await refreshVersionDigest({ version, providerId: args.provider || EXPLAINER_PROVIDER });
     await rebuildBuildIndexes(TARGET_REPO);
   }
 
-  if (!preview) console.log(`Wrote build page: docs/builds/${filename}`);
+  if (!preview) console.log(`Wrote build page: ${BUILDS_REL}/${filename}`);
   console.log(`PRs: ${pullRequests.length} | Compare: ${compareUrl}`);
   console.log(`Release tag: ${tag}`);
+  console.log(`Explainers: ${explainerProvider.id} (${explainerProvider.model})`);
+  console.log(`Installers: ${installerCounts.exact} exact, ${installerCounts.fallback} fallback (latest build)`);
+  if (cacheStats) {
+    console.log(
+      `Explainer cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es)` +
+      (cacheStats.refreshed ? `, ${cacheStats.refreshed} forced refresh(es)` : "") +
+      (args.noCache ? " (cache reads disabled via --no-cache)" : ""),
+    );
+  }
+  if (aiPending) {
+    console.warn("Warning: explainers were not AI-generated; the page is marked 'AI summary pending'. Re-run with --force to upgrade it.");
+  }
   if (totalCommits > commits.length) {
-    console.warn(`Warning: compare commit list appears truncated (${commits.length}/${totalCommits}).`);
+    console.warn(`Warning: could not retrieve every commit in the range (${commits.length}/${totalCommits}).`);
   }
+
+  console.log(github.summary());
+  printHttpModeSummary();
+}
+
+function printHttpModeSummary() {
+  const http = getHttpMode();
+  if (http.mode === "record") console.log(`Recorded ${http.stats.recorded} HTTP fixture(s) to ${http.dir}`);
+  if (http.mode === "replay") console.log(`Replayed ${http.stats.replayed} HTTP fixture(s) from ${http.dir}`);
 }
 
 main().catch((err) => {